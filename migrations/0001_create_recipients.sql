@@ -0,0 +1,7 @@
+-- Recipient registry: clients only ever see the opaque id and display name
+CREATE TABLE IF NOT EXISTS recipients (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  phone_number TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
@@ -0,0 +1,2 @@
+-- Email address used by the email messaging provider
+ALTER TABLE recipients ADD COLUMN email TEXT;
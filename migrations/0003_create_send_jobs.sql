@@ -0,0 +1,17 @@
+-- Outgoing bird messages processed by the send queue.
+-- Jobs that exhaust their retries stay here with status 'dead' (dead-letter store).
+CREATE TABLE IF NOT EXISTS send_jobs (
+  id TEXT PRIMARY KEY,
+  image_key TEXT NOT NULL,
+  recipient_id TEXT NOT NULL,
+  message TEXT NOT NULL,
+  media_url TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  message_sid TEXT,
+  last_error TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_send_jobs_status ON send_jobs (status);
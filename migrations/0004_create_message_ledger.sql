@@ -0,0 +1,11 @@
+-- Delivery ledger: one row per sent image, updated by Twilio status callbacks
+CREATE TABLE IF NOT EXISTS messages (
+  image_key TEXT PRIMARY KEY,
+  message_sid TEXT NOT NULL UNIQUE,
+  recipient_id TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  status TEXT NOT NULL,
+  error_code TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
@@ -0,0 +1,11 @@
+-- Inbound SMS replies, attached to the most recent bird sent to the recipient
+CREATE TABLE IF NOT EXISTS replies (
+  message_sid TEXT PRIMARY KEY,
+  image_key TEXT NOT NULL,
+  recipient_id TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_replies_image_key ON replies (image_key);
+CREATE INDEX IF NOT EXISTS idx_messages_recipient ON messages (recipient_id, created_at);
@@ -0,0 +1,17 @@
+-- Gallery index: one row per image in R2, so /list never scans the bucket
+CREATE TABLE IF NOT EXISTS images (
+  key TEXT PRIMARY KEY,
+  uploaded_at INTEGER NOT NULL, -- milliseconds since epoch
+  size INTEGER NOT NULL,
+  content_type TEXT NOT NULL,
+  species TEXT,
+  session_id TEXT,
+  captured_at TEXT,
+  latitude REAL,
+  longitude REAL,
+  note TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_images_uploaded ON images (uploaded_at DESC, key DESC);
+CREATE INDEX IF NOT EXISTS idx_images_species ON images (species, uploaded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_images_session ON images (session_id, uploaded_at DESC);
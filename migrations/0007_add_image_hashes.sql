@@ -0,0 +1,6 @@
+-- Content hashes for duplicate detection: exact SHA-256 of the stored bytes
+-- and a 64-bit perceptual dHash (16 hex digits) for near-duplicates
+ALTER TABLE images ADD COLUMN sha256 TEXT;
+ALTER TABLE images ADD COLUMN dhash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_images_sha256 ON images (sha256);
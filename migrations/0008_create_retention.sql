@@ -0,0 +1,16 @@
+-- Pinned images are never removed by the retention job
+ALTER TABLE images ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+
+-- Audit log of every image the retention job deleted (or would have, in dry-run)
+CREATE TABLE IF NOT EXISTS retention_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id TEXT NOT NULL,
+  image_key TEXT NOT NULL,
+  reason TEXT NOT NULL, -- max-age | max-count | max-bytes
+  size INTEGER NOT NULL,
+  uploaded_at INTEGER NOT NULL,
+  dry_run INTEGER NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_log_run ON retention_log (run_id);
@@ -0,0 +1,11 @@
+-- Running totals for the R2 bucket, updated on every put/delete and reconciled
+-- against a full listing by the scheduled job. Always exactly one row.
+CREATE TABLE IF NOT EXISTS bucket_usage (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  bytes INTEGER NOT NULL DEFAULT 0,
+  objects INTEGER NOT NULL DEFAULT 0,
+  reconciled_at TEXT, -- NULL until the first reconciliation
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+INSERT OR IGNORE INTO bucket_usage (id) VALUES (1);
@@ -0,0 +1,7 @@
+-- Moderation state set from the admin console: hidden images are left out of
+-- /list and /bird and return 404 from /image; flagged images await review
+ALTER TABLE images ADD COLUMN hidden INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE images ADD COLUMN flagged INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE images ADD COLUMN flag_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_images_flagged ON images (flagged);
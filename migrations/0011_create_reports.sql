@@ -0,0 +1,14 @@
+-- Public "report this image" submissions. reporter is an HMAC of the client IP
+-- and image key (keyed with REPORT_HASH_SECRET), so one address counts once
+-- per image without the IP being stored or recoverable from the table.
+-- Reports are marked reviewed when an admin clears the image's flag.
+CREATE TABLE IF NOT EXISTS reports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  image_key TEXT NOT NULL,
+  reason TEXT NOT NULL, -- see REPORT_REASONS in worker/reports.js
+  reporter TEXT NOT NULL,
+  reviewed INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_image_reporter ON reports (image_key, reporter);
@@ -0,0 +1,5 @@
+-- Result of the server-side bird check (see worker/birdCheck.js):
+-- bird | not-bird | error | approved (failed, then approved by an admin)
+ALTER TABLE images ADD COLUMN bird_check TEXT;
+ALTER TABLE images ADD COLUMN bird_label TEXT;
+ALTER TABLE images ADD COLUMN bird_score REAL;
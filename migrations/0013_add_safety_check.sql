@@ -0,0 +1,4 @@
+-- Result of the content safety screen (see worker/safetyCheck.js):
+-- safe | unsafe | error | approved (held, then approved by an admin)
+ALTER TABLE images ADD COLUMN safety_check TEXT;
+ALTER TABLE images ADD COLUMN safety_label TEXT;
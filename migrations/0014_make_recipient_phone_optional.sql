@@ -0,0 +1,17 @@
+-- Email-only recipients (email provider) have no phone number. SQLite can't
+-- drop NOT NULL in place, so the table is rebuilt; every recipient still needs
+-- some way to be reached.
+CREATE TABLE recipients_new (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  phone_number TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  email TEXT,
+  CHECK (phone_number IS NOT NULL OR email IS NOT NULL)
+);
+
+INSERT INTO recipients_new (id, name, phone_number, created_at, email)
+  SELECT id, name, phone_number, created_at, email FROM recipients;
+
+DROP TABLE recipients;
+ALTER TABLE recipients_new RENAME TO recipients;
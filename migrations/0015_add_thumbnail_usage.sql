@@ -0,0 +1,5 @@
+-- Total size and number of each image's thumbnails, so deleting an image can
+-- adjust bucket usage from the index instead of a HEAD per key. Images whose
+-- thumbnails predate these columns read 0; the hourly reconcile fixes the drift.
+ALTER TABLE images ADD COLUMN thumbnail_bytes INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE images ADD COLUMN thumbnail_count INTEGER NOT NULL DEFAULT 0;
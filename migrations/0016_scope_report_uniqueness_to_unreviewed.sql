@@ -0,0 +1,4 @@
+-- One report per client per image only among unreviewed reports, so a client
+-- whose earlier report was reviewed (the flag cleared) can report the image again.
+DROP INDEX IF EXISTS idx_reports_image_reporter;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_image_reporter ON reports (image_key, reporter) WHERE reviewed = 0;
@@ -0,0 +1,3 @@
+-- Media attached to a reply (MMS), as a JSON array of Twilio MediaUrl values.
+-- A picture-only reply has an empty body and at least one URL here.
+ALTER TABLE replies ADD COLUMN media_urls TEXT NOT NULL DEFAULT '[]';
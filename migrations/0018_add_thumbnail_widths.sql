@@ -0,0 +1,5 @@
+-- Which thumbnail widths were generated for an image (JSON array, e.g. [320,640])
+-- and the original's width. NULL until thumbnails are recorded; '[]' for images
+-- that can't be thumbnailed. /list returns both so srcset only offers real widths.
+ALTER TABLE images ADD COLUMN thumbnail_widths TEXT;
+ALTER TABLE images ADD COLUMN width INTEGER;
@@ -0,0 +1,75 @@
+/**
+ * ImageNet classes that count as a bird
+ * Shared by the browser (src/App.jsx) and the Worker's bird check
+ * (worker/birdCheck.js), so both make the same call on the same labels.
+ */
+
+export const BIRD_CLASSES = [
+  'cock',
+  'hen',
+  'ostrich',
+  'brambling',
+  'goldfinch',
+  'house finch',
+  'junco',
+  'indigo bunting',
+  'robin',
+  'bulbul',
+  'jay',
+  'magpie',
+  'chickadee',
+  'water ouzel',
+  'kite',
+  'bald eagle',
+  'vulture',
+  'great grey owl',
+  'black grouse',
+  'ptarmigan',
+  'ruffed grouse',
+  'prairie chicken',
+  'peacock',
+  'quail',
+  'partridge',
+  'african grey',
+  'macaw',
+  'sulphur-crested cockatoo',
+  'lorikeet',
+  'coucal',
+  'bee eater',
+  'hornbill',
+  'hummingbird',
+  'jacamar',
+  'toucan',
+  'drake',
+  'red-breasted merganser',
+  'goose',
+  'black swan',
+  'white stork',
+  'black stork',
+  'spoonbill',
+  'flamingo',
+  'american egret',
+  'little blue heron',
+  'bittern',
+  'crane',
+  'limpkin',
+  'american coot',
+  'bustard',
+  'ruddy turnstone',
+  'red-backed sandpiper',
+  'redshank',
+  'dowitcher',
+  'oystercatcher',
+  'european gallinule',
+  'pelican',
+  'king penguin',
+  'albatross',
+];
+
+/**
+ * Whether a classifier label names a bird; labels may list synonyms
+ * separated by commas ("goldfinch, carduelis carduelis")
+ */
+export function isBirdLabel(label) {
+  return label.toLowerCase().split(',').some(name => BIRD_CLASSES.includes(name.trim()));
+}
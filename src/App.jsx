@@ -1,10 +1,24 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import * as mobilenet from "@tensorflow-models/mobilenet";
 import * as cocoSsd from "@tensorflow-models/coco-ssd";
 import * as tf from "@tensorflow/tfjs";
 import { Button } from "@/components/ui/button";
 import { Progress } from "@/components/ui/progress";
-import { Loader2, Upload, Send, Bird } from "lucide-react";
+import { Loader2, Upload, Send, Bird, Check, CheckCheck, Clock, X, ArrowLeft, Images } from "lucide-react";
+import CaptureDetailsForm, { emptyCaptureDetails } from "@/components/CaptureDetailsForm";
+import CropPicker from "@/components/CropPicker";
+import DetectionDetails from "@/components/DetectionDetails";
+import DetectionPreview from "@/components/DetectionPreview";
+import Gallery from "@/components/Gallery";
+import AdminConsole from "@/components/AdminConsole";
+import ReportButton from "@/components/ReportButton";
+import SpeciesPicker from "@/components/SpeciesPicker";
+import { birdDetections, cropBirds } from "@/lib/crop";
+import { coarsenCoordinate, readExifDetails } from "@/lib/exif";
+import { loadSafetyModel, screenImage } from "@/lib/safety";
+import { identifySpecies, isSpeciesModelConfigured, loadSpeciesModel, speciesName } from "@/lib/species";
+import { TILE_SIZES, birdHash, describeCapture, parseGalleryHash, thumbnailSrcSet, thumbnailUrl, toGalleryImage } from "@/lib/gallery";
+import { isBirdLabel } from "../shared/birdClasses";
 import "./App.css";
 
 function App() {
@@ -12,6 +26,7 @@ function App() {
   const [message, setMessage] = useState("");
   const [mobilenetModel, setMobilenetModel] = useState(null);
   const [cocoModel, setCocoModel] = useState(null);
+  const [safetyModel, setSafetyModel] = useState(null);
   const [modelsLoading, setModelsLoading] = useState(true);
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [lastImages, setLastImages] = useState([]);
@@ -20,6 +35,18 @@ function App() {
   const [sending, setSending] = useState(false);
   const [showSendAnyway, setShowSendAnyway] = useState(false);
   const [analyzing, setAnalyzing] = useState(false);
+  const [captureDetails, setCaptureDetails] = useState(emptyCaptureDetails);
+  const [species, setSpecies] = useState(null);
+  const [speciesOptions, setSpeciesOptions] = useState([]);
+  const [speciesLoading, setSpeciesLoading] = useState(false);
+  const [birdCrops, setBirdCrops] = useState([]);
+  const [selectedCrop, setSelectedCrop] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const classifyingImageRef = useRef(null);
+  const [recipientId, setRecipientId] = useState(import.meta.env.VITE_RECIPIENT_ID || null);
+  const [duplicateBird, setDuplicateBird] = useState(null);
+  const [contentFlag, setContentFlag] = useState(null);
+  const [route, setRoute] = useState(() => parseGalleryHash(window.location.hash));
 
   const birdMessages = [
     "Check out this little beauty!",
@@ -54,67 +81,18 @@ function App() {
     "What an absolute beauty!",
   ];
 
-  const birdClasses = [
-    "cock",
-    "hen",
-    "ostrich",
-    "brambling",
-    "goldfinch",
-    "house finch",
-    "junco",
-    "indigo bunting",
-    "robin",
-    "bulbul",
-    "jay",
-    "magpie",
-    "chickadee",
-    "water ouzel",
-    "kite",
-    "bald eagle",
-    "vulture",
-    "great grey owl",
-    "black grouse",
-    "ptarmigan",
-    "ruffed grouse",
-    "prairie chicken",
-    "peacock",
-    "quail",
-    "partridge",
-    "african grey",
-    "macaw",
-    "sulphur-crested cockatoo",
-    "lorikeet",
-    "coucal",
-    "bee eater",
-    "hornbill",
-    "hummingbird",
-    "jacamar",
-    "toucan",
-    "drake",
-    "red-breasted merganser",
-    "goose",
-    "black swan",
-    "white stork",
-    "black stork",
-    "spoonbill",
-    "flamingo",
-    "american egret",
-    "little blue heron",
-    "bittern",
-    "crane",
-    "limpkin",
-    "american coot",
-    "bustard",
-    "ruddy turnstone",
-    "red-backed sandpiper",
-    "redshank",
-    "dowitcher",
-    "oystercatcher",
-    "european gallinule",
-    "pelican",
-    "king penguin",
-    "albatross",
-  ];
+  // How each delivery status from the ledger is shown on a gallery tile
+  const deliveryBadges = {
+    queued: { icon: Clock, label: "Queued" },
+    sent: { icon: Check, label: "Sent" },
+    delivered: { icon: CheckCheck, label: "Delivered to Ryan" },
+    failed: { icon: X, label: "Not delivered" },
+  };
+
+  // Detection thresholds, also explained in the details panel under the preview
+  const COCO_MAX_BOXES = 20;
+  const COCO_MIN_SCORE = 0.5; // COCO-SSD detections scoring less are dropped
+  const MOBILENET_TOP_K = 3; // a bird class anywhere in MobileNet's top k counts
 
   // R2 images are served through the Worker at /image/:filename
   const workerUrl = import.meta.env.VITE_WORKER_URL || '';
@@ -122,7 +100,7 @@ function App() {
   const fetchLastImages = useCallback(async () => {
     try {
       // Use Worker endpoint to list images (keeps R2 credentials secure)
-      const response = await fetch(`${workerUrl}/list`, {
+      const response = await fetch(`${workerUrl}/list?limit=12`, {
         method: 'GET',
       });
 
@@ -133,11 +111,9 @@ function App() {
 
       const data = await response.json();
       const lastItems = data.images || [];
-      const imageUrls = lastItems.map(
-        (item) => `${workerUrl}/image/${item.Key}`
-      );
+      const images = lastItems.map((item) => toGalleryImage(item, workerUrl));
 
-      setLastImages(imageUrls);
+      setLastImages(images);
       // Reset load states for new images
       setImageLoadStates({});
     } catch (error) {
@@ -145,9 +121,47 @@ function App() {
     }
   }, [workerUrl]);
 
+  const fetchRecipient = useCallback(async () => {
+    try {
+      // The Worker only exposes recipient IDs and names, never phone numbers
+      const response = await fetch(`${workerUrl}/recipients`);
+
+      if (!response.ok) {
+        console.error('Failed to fetch recipients:', response.statusText);
+        return;
+      }
+
+      const data = await response.json();
+      const recipients = data.recipients || [];
+      const ryan = recipients.find((r) => r.name.toLowerCase() === 'ryan') || recipients[0];
+      if (ryan) {
+        setRecipientId((current) => current || ryan.id);
+      }
+    } catch (error) {
+      console.error('Error fetching recipients:', error);
+    }
+  }, [workerUrl]);
+
+  // The gallery and its lightbox are addressed by hash (#/gallery, #/bird/:key)
+  // so bird links can be shared without any server-side routing
+  useEffect(() => {
+    const handleHashChange = () => setRoute(parseGalleryHash(window.location.hash));
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, []);
+
+  const openBird = useCallback((key) => {
+    window.location.hash = birdHash(key);
+  }, []);
+
+  const closeBird = useCallback(() => {
+    window.location.hash = "#/gallery";
+  }, []);
+
   useEffect(() => {
     // Load images immediately - don't wait for models
     fetchLastImages();
+    fetchRecipient();
     
     const loadModels = async () => {
       try {
@@ -165,10 +179,15 @@ function App() {
           });
         }, 200);
         
-        // Load both models in parallel
-        const [loadedMobilenet, loadedCoco] = await Promise.all([
+        // Load all models in parallel; the Worker screens uploads too, so a
+        // safety model that fails to load doesn't stop anyone sending birds
+        const [loadedMobilenet, loadedCoco, loadedSafety] = await Promise.all([
           mobilenet.load({ version: 2, alpha: 1.0 }),
-          cocoSsd.load()
+          cocoSsd.load(),
+          loadSafetyModel().catch((error) => {
+            console.error('Error loading safety model:', error);
+            return null;
+          }),
         ]);
         
         clearInterval(progressInterval);
@@ -176,6 +195,7 @@ function App() {
         
         setMobilenetModel(loadedMobilenet);
         setCocoModel(loadedCoco);
+        setSafetyModel(loadedSafety);
         
         // Small delay to show 100% completion
         setTimeout(() => {
@@ -191,12 +211,25 @@ function App() {
     };
 
     loadModels();
-  }, [fetchLastImages]);
+  }, [fetchLastImages, fetchRecipient]);
 
   const handleImageUpload = (event) => {
     const DESIRED_WIDTH = 400; 
     const file = event.target.files[0];
     if (file) {
+        setDuplicateBird(null);
+        // Read date/GPS from the original file; the re-encoded upload has no EXIF
+        setCaptureDetails(emptyCaptureDetails);
+        readExifDetails(file).then((exif) => {
+            setCaptureDetails({
+                ...emptyCaptureDetails,
+                capturedAt: exif.capturedAt ? exif.capturedAt.slice(0, 10) : "",
+                location: exif.latitude !== null
+                    ? { latitude: coarsenCoordinate(exif.latitude), longitude: coarsenCoordinate(exif.longitude) }
+                    : null,
+            });
+        });
+
         const reader = new FileReader();
         reader.onload = (e) => {
             const imgElement = new Image();
@@ -211,6 +244,11 @@ function App() {
                 const jpegImage = canvas.toDataURL('image/jpeg', 0.5);
                 setImage(jpegImage);
                 setShowSendAnyway(false);
+                setContentFlag(null);
+                setSpeciesOptions([]);
+                setBirdCrops([]);
+                setSelectedCrop(null);
+                setAnalysis(null);
                 setAnalyzing(true);
                 classifyImage(imgElement);
             };
@@ -219,7 +257,53 @@ function App() {
     }
 }
 
+  // Refine the species with the bird-specific model, when one is configured.
+  // Runs after detection without blocking it; results for an older photo are dropped.
+  // `source` is the crop around the bird when there is one.
+  const identifyBirdSpecies = async (imgElement, source = imgElement) => {
+    if (!isSpeciesModelConfigured()) {
+      return;
+    }
+
+    setSpeciesLoading(true);
+    try {
+      const options = await identifySpecies(await loadSpeciesModel(), source);
+      if (classifyingImageRef.current === imgElement) {
+        setSpeciesOptions(options);
+        if (options.length > 0) {
+          setSpecies(options[0].name);
+        }
+      }
+    } catch (error) {
+      console.error('Error identifying species:', error);
+    } finally {
+      if (classifyingImageRef.current === imgElement) {
+        setSpeciesLoading(false);
+      }
+    }
+  };
+
+  // MobileNet's top predictions for a photo or crop, each marked with whether
+  // it's a bird class, and the first bird class among them
+  const classifyWithMobilenet = async (source) => {
+    const tensor = tf.browser
+      .fromPixels(source)
+      .resizeNearestNeighbor([224, 224])
+      .toFloat()
+      .expandDims();
+    const classified = await mobilenetModel.classify(tensor, MOBILENET_TOP_K);
+    tensor.dispose(); // Clean up tensor
+
+    const predictions = classified.map((prediction) => ({
+      ...prediction,
+      isBird: isBirdLabel(prediction.className),
+    }));
+    const birdPrediction = predictions.find((prediction) => prediction.isBird);
+    return { predictions, birdPrediction };
+  };
+
   const classifyImage = async (imgElement) => {
+    classifyingImageRef.current = imgElement;
     if (!cocoModel || !mobilenetModel) {
       setMessage("AI models are still loading. Please wait...");
       setAnalyzing(false);
@@ -227,8 +311,23 @@ function App() {
     }
 
     try {
+      // Screen for inappropriate content first. Flagged photos can still be
+      // sent, but the Worker holds them for a person to review instead of texting Ryan
+      const flagged = safetyModel ? await screenImage(safetyModel, imgElement) : null;
+      if (flagged) {
+        console.log('Safety screen flagged image:', flagged);
+        setContentFlag(flagged);
+        setMessage(
+          "This photo might not be appropriate to send. You can still send it, but someone will check it before it reaches Ryan."
+        );
+        setSpecies(null);
+        setBirdImage(imgElement);
+        setShowSendAnyway(true);
+        return;
+      }
+
       // First, try COCO-SSD for bird detection (better for detecting birds at various distances)
-      const cocoPredictions = await cocoModel.detect(imgElement);
+      const cocoPredictions = await cocoModel.detect(imgElement, COCO_MAX_BOXES, COCO_MIN_SCORE);
       console.log('COCO-SSD predictions:', cocoPredictions);
 
       // Check if COCO-SSD detected a bird
@@ -237,19 +336,37 @@ function App() {
       );
 
       if (birdDetectedByCoco) {
-        // Bird detected by COCO-SSD, now use MobileNet for classification
-        const tensor = tf.browser
-          .fromPixels(imgElement)
-          .resizeNearestNeighbor([224, 224])
-          .toFloat()
-          .expandDims();
-        const mobilenetPredictions = await mobilenetModel.classify(tensor);
-        tensor.dispose(); // Clean up tensor
-        console.log('MobileNet predictions:', mobilenetPredictions);
-
-        const birdDetectedByMobilenet = mobilenetPredictions.some((prediction) =>
-          birdClasses.includes(prediction.className.toLowerCase())
+        // Bird detected by COCO-SSD, now use MobileNet for classification. Each
+        // bird is cropped out first so a distant one fills MobileNet's input;
+        // the whole frame is only used when no crop is worth making.
+        const crops = cropBirds(imgElement, birdDetections(cocoPredictions));
+        const results = [];
+        for (const crop of crops.length > 0 ? crops : [null]) {
+          results.push({ crop, ...(await classifyWithMobilenet(crop ? crop.canvas : imgElement)) });
+        }
+        console.log('MobileNet predictions:', results);
+
+        // Go with the crop MobileNet is surest is a bird (the first, most confident detection on a tie)
+        const best = results.reduce((bestResult, result) =>
+          (result.birdPrediction?.probability ?? 0) > (bestResult.birdPrediction?.probability ?? 0)
+            ? result
+            : bestResult
         );
+        const { predictions: mobilenetPredictions, birdPrediction } = best;
+        const birdDetectedByMobilenet = !!birdPrediction;
+        setSpecies(birdPrediction ? speciesName(birdPrediction.className) : null);
+        setBirdCrops(crops);
+        setSelectedCrop(best.crop ? crops.indexOf(best.crop) : null);
+        setAnalysis({
+          width: imgElement.naturalWidth,
+          height: imgElement.naturalHeight,
+          detections: cocoPredictions,
+          classifications: results.map((result) => ({
+            label: result.crop ? result.crop.label : "Whole photo",
+            predictions: result.predictions,
+            chosen: result === best,
+          })),
+        });
 
         if (birdDetectedByMobilenet) {
           setMessage(
@@ -266,19 +383,18 @@ function App() {
         }
         setBirdImage(imgElement);
         setShowSendAnyway(false);
+        identifyBirdSpecies(imgElement, best.crop ? best.crop.canvas : imgElement);
       } else {
         // No bird detected by COCO-SSD, try MobileNet as fallback
-        const tensor = tf.browser
-          .fromPixels(imgElement)
-          .resizeNearestNeighbor([224, 224])
-          .toFloat()
-          .expandDims();
-        const mobilenetPredictions = await mobilenetModel.classify(tensor);
-        tensor.dispose(); // Clean up tensor
-
-        const birdDetectedByMobilenet = mobilenetPredictions.some((prediction) =>
-          birdClasses.includes(prediction.className.toLowerCase())
-        );
+        const { predictions: mobilenetPredictions, birdPrediction } = await classifyWithMobilenet(imgElement);
+        const birdDetectedByMobilenet = !!birdPrediction;
+        setSpecies(birdPrediction ? speciesName(birdPrediction.className) : null);
+        setAnalysis({
+          width: imgElement.naturalWidth,
+          height: imgElement.naturalHeight,
+          detections: cocoPredictions,
+          classifications: [{ label: "Whole photo", predictions: mobilenetPredictions, chosen: true }],
+        });
 
         if (birdDetectedByMobilenet) {
           setMessage(
@@ -288,6 +404,7 @@ function App() {
           );
           setBirdImage(imgElement);
           setShowSendAnyway(false);
+          identifyBirdSpecies(imgElement);
         } else {
           // No bird detected by either model
           setMessage(
@@ -302,6 +419,7 @@ function App() {
     } catch (error) {
       console.error('Error classifying image:', error);
       setMessage("Error analyzing image. You can still send it if you want!");
+      setSpecies(null);
       setBirdImage(imgElement);
       setShowSendAnyway(true);
     } finally {
@@ -309,7 +427,13 @@ function App() {
     }
   };
 
+  // imgElement is the original photo, or a canvas holding the chosen crop
   const uploadToR2 = async (imgElement) => {
+    if (!recipientId) {
+      setMessage("Ryan can't be reached right now. Please try again later.");
+      return;
+    }
+
     setSending(true);
     const fileName = `bird-${Date.now()}.jpeg`;
 
@@ -317,8 +441,8 @@ function App() {
     const MAX_WIDTH = 1200;
     const MAX_HEIGHT = 1200;
     
-    let width = imgElement.naturalWidth;
-    let height = imgElement.naturalHeight;
+    let width = imgElement.naturalWidth || imgElement.width;
+    let height = imgElement.naturalHeight || imgElement.height;
     
     // Calculate new dimensions maintaining aspect ratio
     if (width > MAX_WIDTH || height > MAX_HEIGHT) {
@@ -340,40 +464,76 @@ function App() {
     // Compress to JPEG with 0.75 quality (good balance between quality and size)
     canvas.toBlob(async (blob) => {
       try {
-        // Convert blob to base64 for easier transmission
-        const reader = new FileReader();
-        reader.onloadend = async () => {
-          const base64data = reader.result.split(',')[1];
-          
-          // Upload via Worker proxy to keep R2 credentials secure
-          const response = await fetch(`${workerUrl}/upload`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              fileName: fileName,
-              fileData: base64data,
-              contentType: 'image/jpeg',
-            }),
-          });
+        // Send the blob as multipart rather than base64 JSON, which is ~33% larger
+        const formData = new FormData();
+        formData.append('file', blob, fileName);
+        formData.append('recipientId', recipientId);
+        formData.append('message', getRandomBirdMessage());
+        formData.append('sessionId', getSenderSessionId());
+        if (species) {
+          formData.append('species', species);
+        }
+        if (contentFlag) {
+          formData.append('contentFlag', contentFlag.label);
+        }
 
-          if (!response.ok) {
-            const errorData = await response.json();
-            console.error('Upload error:', errorData);
-            setMessage("Failed to upload image. Please try again.");
-            setSending(false);
-            return;
-          }
-
-          const data = await response.json();
-          // Use the filename returned by the Worker (it may have been sanitized/renamed)
-          const uploadedFileName = data.fileName || fileName;
-          const imageUrl = `${workerUrl}/image/${uploadedFileName}`;
-          console.log(`File uploaded successfully at ${imageUrl}`);
-          sendSMS(imageUrl);
-        };
-        reader.readAsDataURL(blob);
+        // Opt-in capture details - only what the user ticked is sent
+        if (captureDetails.shareDate && captureDetails.capturedAt) {
+          formData.append('capturedAt', captureDetails.capturedAt);
+        }
+        if (captureDetails.shareLocation && captureDetails.location) {
+          formData.append('latitude', captureDetails.location.latitude);
+          formData.append('longitude', captureDetails.location.longitude);
+        }
+        if (captureDetails.note.trim()) {
+          formData.append('note', captureDetails.note.trim());
+        }
+        if (captureDetails.includeInMessage) {
+          formData.append('includeDetails', 'true');
+        }
+
+        // Upload via Worker proxy to keep R2 credentials secure
+        const response = await fetch(`${workerUrl}/upload`, {
+          method: 'POST',
+          body: formData,
+        });
+
+        // The Worker refuses photos Ryan has already been sent
+        if (response.status === 409) {
+          const { duplicate } = await response.json();
+          resetForm();
+          setMessage(
+            `Ryan has already seen this bird! ${duplicate.match === 'exact' ? 'The same photo' : 'A very similar photo'} was sent on ${new Date(duplicate.uploadedAt).toLocaleDateString()}.`
+          );
+          setDuplicateBird(duplicate);
+          return;
+        }
+
+        // The Worker runs its own bird check and may refuse the photo outright
+        if (response.status === 422) {
+          resetForm();
+          setMessage("The bird checker on our end doesn't think that's a bird, so it wasn't sent.");
+          return;
+        }
+
+        if (!response.ok) {
+          const errorData = await response.json();
+          console.error('Upload error:', errorData);
+          setMessage("Failed to upload image. Please try again.");
+          setSending(false);
+          return;
+        }
+
+        const data = await response.json();
+        console.log(`File uploaded successfully as ${data.fileName}`);
+
+        // ...or hold it until someone has had a look
+        if (data.held) {
+          resetForm();
+          setMessage("Your photo will be sent to Ryan once someone has checked it.");
+          return;
+        }
+        waitForDelivery(data.sendId);
       } catch (error) {
         console.error('Upload error:', error);
         setMessage("Failed to upload image. Please try again.");
@@ -382,41 +542,73 @@ function App() {
     }, "image/jpeg", 0.75); // 0.75 quality = good balance (0.0 to 1.0)
   };
 
+  // Random ID kept in this browser so the gallery can filter "birds I sent"
+  const getSenderSessionId = () => {
+    let sessionId = localStorage.getItem('senderSessionId');
+    if (!sessionId) {
+      sessionId = crypto.randomUUID();
+      localStorage.setItem('senderSessionId', sessionId);
+    }
+    return sessionId;
+  };
+
   const getRandomBirdMessage = () => {
     return birdMessages[Math.floor(Math.random() * birdMessages.length)];
   };
 
-  const sendSMS = async (imageUrl) => {
+  // The Worker queues the message on upload; poll until it's delivered or gives up
+  const waitForDelivery = async (sendId) => {
+    const POLL_INTERVAL = 2000;
+    const MAX_POLLS = 30;
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    let lastStatus = null;
+
     try {
-      const response = await fetch(
-        `${workerUrl}/sms`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            message: getRandomBirdMessage(),
-            recipientPhoneNumber: "+18044772881",
-            mediaUrl: imageUrl,
-          }),
+      for (let poll = 0; poll < MAX_POLLS; poll++) {
+        const response = await fetch(`${workerUrl}/send/${sendId}`);
+
+        // Polling too fast: wait as long as the Worker asks before checking again
+        if (response.status === 429) {
+          const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+          await wait(Number.isFinite(retryAfter) ? retryAfter * 1000 : POLL_INTERVAL);
+          continue;
         }
-      );
 
-      if (response.ok) {
-        alert("The bird has been sent to Ryan, you're a hero!");
-        // Reset form and fetch latest images
-        resetForm();
-        fetchLastImages();
-      } else {
-        const errorData = await response.json().catch(() => ({}));
-        console.error('SMS error:', errorData);
-        alert("Failed to send message. Try again!");
-        setSending(false);
+        if (!response.ok) {
+          throw new Error(`Send status request failed: ${response.status}`);
+        }
+
+        const job = await response.json();
+        lastStatus = job.status;
+
+        if (job.status === 'sent') {
+          resetForm();
+          setMessage("The bird has been sent to Ryan, you're a hero!");
+          fetchLastImages();
+          return;
+        }
+
+        if (job.status === 'dead') {
+          console.error('Send failed:', job.error);
+          setMessage("Failed to send the bird to Ryan. Please try again.");
+          setSending(false);
+          return;
+        }
+
+        await wait(POLL_INTERVAL);
       }
+
+      if (!lastStatus) {
+        throw new Error('Send status never loaded');
+      }
+
+      // Still queued or retrying in the background - it will be delivered later
+      resetForm();
+      setMessage("Your bird is queued and will reach Ryan shortly!");
+      fetchLastImages();
     } catch (error) {
-      console.error('SMS error:', error);
-      alert("An error occurred. Please try again.");
+      console.error('Send status error:', error);
+      setMessage("Couldn't check on your bird. It may still be delivered!");
       setSending(false);
     }
   };
@@ -428,6 +620,16 @@ function App() {
     setShowSendAnyway(false);
     setSending(false);
     setAnalyzing(false);
+    setCaptureDetails(emptyCaptureDetails);
+    setSpecies(null);
+    setSpeciesOptions([]);
+    setSpeciesLoading(false);
+    setBirdCrops([]);
+    setSelectedCrop(null);
+    setAnalysis(null);
+    classifyingImageRef.current = null;
+    setDuplicateBird(null);
+    setContentFlag(null);
     // Clear the file input
     const fileInput = document.getElementById('file-upload');
     if (fileInput) {
@@ -436,9 +638,52 @@ function App() {
   };
 
   const handleBirdSend = () => {
-    uploadToR2(birdImage);
+    uploadToR2(selectedCrop === null ? birdImage : birdCrops[selectedCrop].canvas);
   };
 
+  if (route.view === "admin") {
+    return (
+      <div className="App">
+        <div className="w-full max-w-7xl px-4">
+          <div className="flex items-center justify-between mt-12 mb-8">
+            <a href="#" className="flex items-center gap-2 text-white hover:underline">
+              <ArrowLeft className="h-5 w-5" />
+              Send a bird
+            </a>
+            <h2 className="text-3xl md:text-4xl font-extrabold text-white tracking-tight drop-shadow-lg">
+              Moderation
+            </h2>
+            <span className="w-24" />
+          </div>
+          <AdminConsole workerUrl={workerUrl} />
+        </div>
+      </div>
+    );
+  }
+
+  if (route.view === "gallery") {
+    return (
+      <div className="App">
+        <div className="w-full max-w-7xl px-4">
+          <div className="flex items-center justify-between mt-12 mb-8">
+            <a href="#" className="flex items-center gap-2 text-white hover:underline">
+              <ArrowLeft className="h-5 w-5" />
+              Send a bird
+            </a>
+            <h2 className="text-3xl md:text-4xl lg:text-5xl font-extrabold text-white tracking-tight drop-shadow-lg">
+              Every Bird Sent to Ryan
+            </h2>
+            <span className="w-24" />
+          </div>
+          <Gallery workerUrl={workerUrl} birdKey={route.birdKey} onOpen={openBird} onClose={closeBird} />
+        </div>
+      </div>
+    );
+  }
+
+  // The preview shows the chosen crop, or the whole photo
+  const previewCrop = selectedCrop === null ? null : birdCrops[selectedCrop];
+
   return (
     <div className="App">
       <h1 className="text-5xl md:text-6xl lg:text-7xl font-extrabold mb-8 text-center text-white tracking-tight drop-shadow-2xl flex items-center justify-center gap-4 mt-12">
@@ -503,8 +748,26 @@ function App() {
         {!analyzing && !sending && message && (
           <p className="text-center max-w-md">{message}</p>
         )}
+        {!analyzing && !sending && duplicateBird && (
+          <a href={birdHash(duplicateBird.key)} className="flex flex-col items-center gap-2 mt-2 text-white hover:underline">
+            <img
+              src={thumbnailUrl(duplicateBird.url, 320)}
+              alt="The bird that was already sent"
+              className="h-32 w-32 rounded-lg object-cover"
+            />
+            See the earlier one
+          </a>
+        )}
         {birdImage && !sending && !analyzing && (
           <>
+            <CropPicker original={image} crops={birdCrops} value={selectedCrop} onChange={setSelectedCrop} />
+            <SpeciesPicker
+              options={speciesOptions}
+              value={species}
+              onChange={setSpecies}
+              loading={speciesLoading}
+            />
+            <CaptureDetailsForm details={captureDetails} onChange={setCaptureDetails} />
             <Button
               onClick={handleBirdSend}
               size="lg"
@@ -513,14 +776,23 @@ function App() {
               <Send className="mr-2 h-5 w-5" />
               {showSendAnyway ? "Send Anyway" : "Send Bird to Ryan"}
             </Button>
-            {showSendAnyway && (
+            {showSendAnyway && !contentFlag && (
               <p className="text-sm text-muted-foreground mt-2 max-w-md text-center">
                 No bird was detected, but you can still send it if you're sure there's a bird!
               </p>
             )}
           </>
         )}
-        {image && <img id="uploadedImage" src={image} alt="Uploaded" className="mt-4" />}
+        {image && (
+          <DetectionPreview
+            src={previewCrop ? previewCrop.preview : image}
+            detections={analysis ? analysis.detections : []}
+            frame={previewCrop ? previewCrop.box : [0, 0, analysis?.width, analysis?.height]}
+          />
+        )}
+        {analysis && !analyzing && !sending && (
+          <DetectionDetails analysis={analysis} minScore={COCO_MIN_SCORE} topK={MOBILENET_TOP_K} />
+        )}
       </div>
       <div className="w-full max-w-7xl px-4">
         <h2 className="text-3xl md:text-4xl lg:text-5xl font-extrabold mb-8 text-center mt-12 text-white tracking-tight drop-shadow-lg">
@@ -528,36 +800,89 @@ function App() {
         </h2>
         <div className="latest-birds">
           {Array.from({ length: 12 }).map((_, index) => {
-            const imgUrl = lastImages[index];
+            const imgKey = lastImages[index]?.key;
+            const imgUrl = lastImages[index]?.url;
             const isLoading = imgUrl && !imageLoadStates[imgUrl];
+            const badge = deliveryBadges[lastImages[index]?.deliveryStatus];
+            const replies = lastImages[index]?.replies || [];
+            const details = lastImages[index] && describeCapture(lastImages[index]);
+            const note = lastImages[index]?.note;
             
             return (
-              <div key={index} className="relative w-full aspect-square rounded-lg overflow-hidden">
-                {imgUrl ? (
-                  <>
-                    {isLoading && (
-                      <div className="absolute inset-0 bg-gradient-to-br from-muted via-muted/50 to-muted animate-pulse" />
-                    )}
-                    <img
-                      src={imgUrl}
-                      alt={`Last uploaded ${index + 1}`}
-                      loading="lazy"
-                      onLoad={() => setImageLoadStates(prev => ({ ...prev, [imgUrl]: true }))}
-                      onError={() => setImageLoadStates(prev => ({ ...prev, [imgUrl]: true }))}
-                      className={`w-full h-full object-cover rounded-lg transition-opacity duration-500 ${
-                        isLoading ? 'opacity-0' : 'opacity-100'
-                      }`}
+              <div key={index} className="flex flex-col gap-2">
+                <div className="relative w-full aspect-square rounded-lg overflow-hidden">
+                  {imgUrl ? (
+                    <a href={birdHash(imgKey)} className="block w-full h-full">
+                      {isLoading && (
+                        <div className="absolute inset-0 bg-gradient-to-br from-muted via-muted/50 to-muted animate-pulse" />
+                      )}
+                      <img
+                        src={thumbnailUrl(imgUrl, 640)}
+                        srcSet={thumbnailSrcSet(lastImages[index])}
+                        sizes={TILE_SIZES}
+                        alt={`Last uploaded ${index + 1}`}
+                        loading="lazy"
+                        onLoad={() => setImageLoadStates(prev => ({ ...prev, [imgUrl]: true }))}
+                        onError={() => setImageLoadStates(prev => ({ ...prev, [imgUrl]: true }))}
+                        className={`w-full h-full object-cover rounded-lg transition-opacity duration-500 ${
+                          isLoading ? 'opacity-0' : 'opacity-100'
+                        }`}
+                      />
+                      {badge && (
+                        <div
+                          className="absolute bottom-2 right-2 flex items-center gap-1 rounded-full bg-black/60 px-2 py-1 text-xs text-white"
+                          title={badge.label}
+                        >
+                          <badge.icon className="h-3 w-3" />
+                          {badge.label}
+                        </div>
+                      )}
+                    </a>
+                  ) : (
+                    <div className="w-full h-full flex items-center justify-center bg-gradient-to-br from-muted via-muted/50 to-muted">
+                      <div className="text-muted-foreground text-xs opacity-50">No image yet</div>
+                    </div>
+                  )}
+                  {imgKey && (
+                    <ReportButton
+                      key={imgKey}
+                      workerUrl={workerUrl}
+                      imageKey={imgKey}
+                      onReported={(hidden) => hidden && fetchLastImages()}
                     />
-                  </>
-                ) : (
-                  <div className="w-full h-full flex items-center justify-center bg-gradient-to-br from-muted via-muted/50 to-muted">
-                    <div className="text-muted-foreground text-xs opacity-50">No image yet</div>
-                  </div>
+                  )}
+                </div>
+                {(details || note) && (
+                  <p className="text-left text-xs text-white/80">
+                    {details}
+                    {note && <span className="block italic">"{note}"</span>}
+                  </p>
                 )}
+                {replies.map((reply, replyIndex) => (
+                  <p
+                    key={replyIndex}
+                    className="rounded-lg bg-white/90 px-3 py-2 text-left text-sm text-neutral-900 shadow"
+                    title={new Date(reply.ReceivedAt).toLocaleString()}
+                  >
+                    <span className="font-semibold">{reply.From || 'Ryan'}:</span> {reply.Body}
+                    {reply.MediaCount > 0 && (
+                      <span className="italic text-neutral-600">
+                        {reply.Body && " "}(sent {reply.MediaCount === 1 ? "a picture" : `${reply.MediaCount} pictures`})
+                      </span>
+                    )}
+                  </p>
+                ))}
               </div>
             );
           })}
         </div>
+        <a
+          href="#/gallery"
+          className="inline-flex items-center gap-2 mt-8 mb-12 text-lg font-semibold text-white hover:underline"
+        >
+          <Images className="h-5 w-5" />
+          Browse every bird
+        </a>
       </div>
     </div>
   );
@@ -0,0 +1,300 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { EyeOff, Eye, Flag, Loader2, Pin, PinOff, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+
+const TOKEN_KEY = "adminToken";
+const FILTERS = ["flagged", "hidden", "all"];
+
+// Hidden images 404 on /image, so the console loads every preview through the
+// authenticated /admin/images/:key/file route instead
+function AdminImage({ workerUrl, authFetch, imageKey, alt }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let objectUrl;
+    let cancelled = false;
+    (async () => {
+      try {
+        const response = await authFetch(`${workerUrl}/admin/images/${encodeURIComponent(imageKey)}/file?w=320`);
+        if (!response.ok) {
+          return;
+        }
+        const blob = await response.blob();
+        // Unmounted while the image loaded; the cleanup has already run
+        if (cancelled) {
+          return;
+        }
+        objectUrl = URL.createObjectURL(blob);
+        setSrc(objectUrl);
+      } catch (err) {
+        console.error("Error loading admin image:", err);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [workerUrl, authFetch, imageKey]);
+
+  return src
+    ? <img src={src} alt={alt} className="w-full h-full object-cover" />
+    : <div className="w-full h-full bg-white/10" />;
+}
+
+// Moderation console at #/admin: hide, pin, unflag or delete images, and
+// review the send history. The admin token is kept for this tab only; when the
+// Worker sits behind Cloudflare Access on the same origin, leave it blank.
+function AdminConsole({ workerUrl }) {
+  const [token, setToken] = useState(() => sessionStorage.getItem(TOKEN_KEY) || "");
+  const [tokenInput, setTokenInput] = useState("");
+  const [filter, setFilter] = useState("flagged");
+  const [images, setImages] = useState([]);
+  const [imagesCursor, setImagesCursor] = useState(null);
+  const [sends, setSends] = useState([]);
+  const [sendsCursor, setSendsCursor] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const authFetch = useCallback(
+    (url, options = {}) =>
+      fetch(url, {
+        ...options,
+        headers: { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      }),
+    [token]
+  );
+
+  const request = useCallback(
+    async (path, options) => {
+      const response = await authFetch(`${workerUrl}${path}`, options);
+      if (response.status === 401) {
+        sessionStorage.removeItem(TOKEN_KEY);
+        setToken("");
+        throw new Error("Not authorised. Check the admin token.");
+      }
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || response.statusText);
+      }
+      return data;
+    },
+    [authFetch, workerUrl]
+  );
+
+  const loadImages = useCallback(
+    async (cursor) => {
+      setLoading(true);
+      try {
+        const params = new URLSearchParams({ filter, limit: "24" });
+        if (cursor) {
+          params.set("cursor", cursor);
+        }
+        const data = await request(`/admin/images?${params}`);
+        setImages((prev) => (cursor ? [...prev, ...data.images] : data.images));
+        setImagesCursor(data.cursor);
+        setError(null);
+      } catch (err) {
+        console.error("Error loading admin images:", err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [request, filter]
+  );
+
+  const loadSends = useCallback(
+    async (cursor) => {
+      try {
+        const data = await request(`/admin/sends${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ""}`);
+        setSends((prev) => (cursor ? [...prev, ...data.sends] : data.sends));
+        setSendsCursor(data.cursor);
+      } catch (err) {
+        console.error("Error loading send history:", err);
+        setError(err.message);
+      }
+    },
+    [request]
+  );
+
+  useEffect(() => {
+    loadImages(null);
+  }, [loadImages]);
+
+  useEffect(() => {
+    loadSends(null);
+    request("/admin/stats")
+      .then(setStats)
+      .catch((err) => console.error("Error loading stats:", err));
+  }, [loadSends, request]);
+
+  const updateImage = async (key, changes) => {
+    try {
+      const { image } = await request(`/admin/images/${encodeURIComponent(key)}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(changes),
+      });
+      setImages((prev) => prev.map((item) => (item.Key === key ? image : item)));
+    } catch (err) {
+      console.error("Error updating image:", err);
+      setError(err.message);
+    }
+  };
+
+  const deleteImage = async (key) => {
+    if (!window.confirm("Delete this bird permanently? This can't be undone.")) {
+      return;
+    }
+    try {
+      await request(`/admin/images/${encodeURIComponent(key)}`, { method: "DELETE" });
+      setImages((prev) => prev.filter((item) => item.Key !== key));
+    } catch (err) {
+      console.error("Error deleting image:", err);
+      setError(err.message);
+    }
+  };
+
+  const saveToken = (e) => {
+    e.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, tokenInput);
+    setToken(tokenInput);
+    setTokenInput("");
+  };
+
+  return (
+    <div className="w-full space-y-8 text-left text-white">
+      <form onSubmit={saveToken} className="flex flex-wrap items-center gap-2">
+        <input
+          type="password"
+          value={tokenInput}
+          onChange={(e) => setTokenInput(e.target.value)}
+          placeholder={token ? "Admin token saved for this tab" : "Admin token"}
+          className="flex-1 min-w-[12rem] rounded bg-white/90 px-3 py-2 text-neutral-900"
+        />
+        <Button type="submit" variant="secondary">Use token</Button>
+      </form>
+
+      {error && <p className="rounded bg-red-500/80 px-3 py-2 text-sm">{error}</p>}
+
+      {stats && (
+        <p className="text-sm text-white/80">
+          {stats.images} images ({stats.pinnedImages} pinned), {(stats.bytes / 1024 / 1024).toFixed(1)} MB of{" "}
+          {(stats.maxBytes / 1024 / 1024 / 1024).toFixed(0)} GB used
+        </p>
+      )}
+
+      <section className="space-y-4">
+        <div className="flex gap-2">
+          {FILTERS.map((name) => (
+            <Button
+              key={name}
+              size="sm"
+              variant={filter === name ? "default" : "secondary"}
+              onClick={() => setFilter(name)}
+              className="capitalize"
+            >
+              {name}
+            </Button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {images.map((image) => (
+            <div key={image.Key} className="rounded-lg bg-white/10 overflow-hidden">
+              <div className="relative aspect-square">
+                <AdminImage workerUrl={workerUrl} authFetch={authFetch} imageKey={image.Key} alt={image.Species || "Bird"} />
+                <div className="absolute top-2 left-2 flex gap-1 text-xs">
+                  {image.Hidden && <span className="rounded bg-black/70 px-2 py-0.5">Hidden</span>}
+                  {image.Pinned && <span className="rounded bg-black/70 px-2 py-0.5">Pinned</span>}
+                  {image.Flagged && <span className="rounded bg-red-600/90 px-2 py-0.5">Flagged</span>}
+                </div>
+              </div>
+              <div className="p-2 space-y-2 text-xs">
+                <p className="truncate" title={image.Key}>
+                  {new Date(image.LastModified).toLocaleString()}
+                  {image.Species && ` · ${image.Species}`}
+                </p>
+                {image.FlagReason && <p className="text-red-200">{image.FlagReason}</p>}
+                <div className="flex gap-1">
+                  <Button
+                    size="icon"
+                    variant="secondary"
+                    title={image.Hidden ? "Unhide" : "Hide"}
+                    onClick={() => updateImage(image.Key, { hidden: !image.Hidden })}
+                  >
+                    {image.Hidden ? <Eye className="h-4 w-4" /> : <EyeOff className="h-4 w-4" />}
+                  </Button>
+                  <Button
+                    size="icon"
+                    variant="secondary"
+                    title={image.Pinned ? "Unpin" : "Pin (keep forever)"}
+                    onClick={() => updateImage(image.Key, { pinned: !image.Pinned })}
+                  >
+                    {image.Pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+                  </Button>
+                  {image.Flagged && (
+                    <Button
+                      size="icon"
+                      variant="secondary"
+                      title="Clear flag"
+                      onClick={() => updateImage(image.Key, { flagged: false })}
+                    >
+                      <Flag className="h-4 w-4" />
+                    </Button>
+                  )}
+                  <Button size="icon" variant="destructive" title="Delete" onClick={() => deleteImage(image.Key)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {loading && <Loader2 className="h-6 w-6 animate-spin" />}
+        {!loading && images.length === 0 && <p className="text-sm text-white/80">Nothing here.</p>}
+        {!loading && imagesCursor && (
+          <Button variant="secondary" onClick={() => loadImages(imagesCursor)}>Load more</Button>
+        )}
+      </section>
+
+      <section className="space-y-2">
+        <h3 className="text-xl font-bold">Send history</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-white/70">
+              <tr>
+                <th className="py-1 pr-4 font-normal">Queued</th>
+                <th className="py-1 pr-4 font-normal">Recipient</th>
+                <th className="py-1 pr-4 font-normal">Image</th>
+                <th className="py-1 pr-4 font-normal">Status</th>
+                <th className="py-1 font-normal">Error</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sends.map((send) => (
+                <tr key={send.id} className="border-t border-white/10">
+                  <td className="py-1 pr-4 whitespace-nowrap">{new Date(`${send.createdAt.replace(" ", "T")}Z`).toLocaleString()}</td>
+                  <td className="py-1 pr-4">{send.recipientName || send.recipientId}</td>
+                  <td className="py-1 pr-4 max-w-[12rem] truncate" title={send.imageKey}>{send.imageKey}</td>
+                  <td className="py-1 pr-4">{send.deliveryStatus || send.status}</td>
+                  <td className="py-1 text-red-200">{send.error}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {sendsCursor && (
+          <Button variant="secondary" onClick={() => loadSends(sendsCursor)}>Load more</Button>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default AdminConsole;
@@ -0,0 +1,73 @@
+import React from "react";
+import { Calendar, MapPin } from "lucide-react";
+
+export const emptyCaptureDetails = {
+  capturedAt: "",
+  location: null,
+  note: "",
+  shareDate: false,
+  shareLocation: false,
+  includeInMessage: false,
+};
+
+// Opt-in "where and when" details for a bird. Nothing here is sent unless the
+// user ticks it; the location is already coarsened to roughly city level.
+function CaptureDetailsForm({ details, onChange }) {
+  const update = (changes) => onChange({ ...details, ...changes });
+
+  return (
+    <div className="w-full max-w-md mt-4 rounded-lg bg-white/10 p-4 text-left text-sm text-white space-y-3">
+      <p className="font-semibold">Add details (optional)</p>
+
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={details.shareDate}
+          onChange={(e) => update({ shareDate: e.target.checked })}
+        />
+        <Calendar className="h-4 w-4" />
+        <span>Date seen</span>
+        <input
+          type="date"
+          value={details.capturedAt}
+          onChange={(e) => update({ capturedAt: e.target.value, shareDate: !!e.target.value })}
+          className="ml-auto rounded bg-white/90 px-2 py-1 text-neutral-900"
+        />
+      </label>
+
+      {details.location && (
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={details.shareLocation}
+            onChange={(e) => update({ shareLocation: e.target.checked })}
+          />
+          <MapPin className="h-4 w-4" />
+          <span>
+            Approximate location ({details.location.latitude}, {details.location.longitude})
+          </span>
+        </label>
+      )}
+
+      <textarea
+        value={details.note}
+        onChange={(e) => update({ note: e.target.value })}
+        maxLength={280}
+        rows={2}
+        placeholder="Species notes, where you saw it..."
+        className="w-full rounded bg-white/90 px-2 py-1 text-neutral-900"
+      />
+
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={details.includeInMessage}
+          onChange={(e) => update({ includeInMessage: e.target.checked })}
+        />
+        <span>Include these details in the text to Ryan</span>
+      </label>
+    </div>
+  );
+}
+
+export default CaptureDetailsForm;
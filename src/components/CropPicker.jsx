@@ -0,0 +1,41 @@
+import React from "react";
+import { Crop } from "lucide-react";
+
+// Lets the sender choose between the original photo and the crops around the
+// birds COCO-SSD found. `value` is the index of the chosen crop, or null for
+// the original.
+function CropPicker({ original, crops, value, onChange }) {
+  if (crops.length === 0) {
+    return null;
+  }
+
+  const choices = [{ label: "Original", preview: original }, ...crops];
+  const selected = value === null ? 0 : value + 1;
+
+  return (
+    <fieldset className="w-full max-w-md mt-4 rounded-lg bg-white/10 p-4 text-left text-sm text-white">
+      <legend className="flex items-center gap-2 font-semibold">
+        <Crop className="h-4 w-4" />
+        Send the whole photo or just the bird?
+      </legend>
+      <div className="flex gap-2 overflow-x-auto">
+        {choices.map((choice, index) => (
+          <button
+            key={choice.label}
+            type="button"
+            onClick={() => onChange(index === 0 ? null : index - 1)}
+            aria-pressed={selected === index}
+            className={`flex flex-col items-center gap-1 rounded-lg p-1 ${
+              selected === index ? "bg-white/30 ring-2 ring-white" : "hover:bg-white/20"
+            }`}
+          >
+            <img src={choice.preview} alt={choice.label} className="h-20 w-20 rounded object-cover" />
+            <span className="text-xs">{choice.label}</span>
+          </button>
+        ))}
+      </div>
+    </fieldset>
+  );
+}
+
+export default CropPicker;
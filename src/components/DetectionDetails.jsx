@@ -0,0 +1,66 @@
+import React from "react";
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// Why the app decided there is (or isn't) a bird: every COCO-SSD detection,
+// MobileNet's top predictions for each image it classified, and the thresholds
+// the decision used. Collapsed by default; it's for the curious and for tuning.
+function DetectionDetails({ analysis, minScore, topK }) {
+  const cocoBird = analysis.detections.find((detection) => detection.class === "bird");
+  const chosen = analysis.classifications.find((classification) => classification.chosen);
+  const mobilenetBird = chosen?.predictions.find((prediction) => prediction.isBird);
+
+  let decision;
+  if (cocoBird) {
+    decision = `Bird: COCO-SSD found a bird with ${percent(cocoBird.score)} confidence (detections need at least ${percent(minScore)}).`;
+  } else if (mobilenetBird) {
+    decision = `Bird: COCO-SSD found no bird scoring at least ${percent(minScore)}, but "${mobilenetBird.className}" is one of MobileNet's bird classes and in its top ${topK}.`;
+  } else {
+    decision = `No bird: COCO-SSD found no bird scoring at least ${percent(minScore)}, and none of MobileNet's top ${topK} is one of its bird classes.`;
+  }
+
+  return (
+    <details className="w-full max-w-md mt-2 rounded-lg bg-white/10 p-4 text-left text-sm text-white">
+      <summary className="cursor-pointer font-semibold">How was this decided?</summary>
+      <p className="mt-3">{decision}</p>
+
+      <p className="mt-3 font-semibold">COCO-SSD detections</p>
+      {analysis.detections.length === 0 ? (
+        <p className="text-white/70">Nothing scoring at least {percent(minScore)}.</p>
+      ) : (
+        <ul>
+          {analysis.detections.map((detection, index) => (
+            <li key={index} className="flex justify-between">
+              <span className={detection.class === "bird" ? "font-semibold text-yellow-300" : ""}>
+                {detection.class}
+              </span>
+              <span className="text-white/70">{percent(detection.score)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {analysis.classifications.map((classification) => (
+        <div key={classification.label}>
+          <p className="mt-3 font-semibold">
+            MobileNet top {topK}: {classification.label}
+            {chosen === classification && analysis.classifications.length > 1 && " (used)"}
+          </p>
+          <ul>
+            {classification.predictions.map((prediction) => (
+              <li key={prediction.className} className="flex justify-between gap-2">
+                <span className={prediction.isBird ? "font-semibold text-yellow-300" : ""}>
+                  {prediction.className}
+                </span>
+                <span className="text-white/70">{percent(prediction.probability)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+      <p className="mt-3 text-xs text-white/70">Highlighted classes count as birds.</p>
+    </details>
+  );
+}
+
+export default DetectionDetails;
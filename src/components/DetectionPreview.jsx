@@ -0,0 +1,41 @@
+import React from "react";
+
+// The uploaded photo (or the chosen crop) with a box drawn around every
+// COCO-SSD detection. Boxes are in the original photo's pixels; `frame` is the
+// [x, y, width, height] region of it being shown, so they line up with crops too.
+function DetectionPreview({ src, detections, frame }) {
+  const [frameX, frameY, frameWidth, frameHeight] = frame;
+  const percent = (value, size) => `${(value / size) * 100}%`;
+
+  return (
+    <div className="detection-preview relative mt-4 overflow-hidden">
+      <img id="uploadedImage" src={src} alt="Uploaded" className="block w-full rounded-lg" />
+      {detections.map((detection, index) => {
+        const [x, y, width, height] = detection.bbox;
+        const isBird = detection.class === "bird";
+        return (
+          <div
+            key={index}
+            className={`absolute border-2 ${isBird ? "border-yellow-400" : "border-white/80"}`}
+            style={{
+              left: percent(x - frameX, frameWidth),
+              top: percent(y - frameY, frameHeight),
+              width: percent(width, frameWidth),
+              height: percent(height, frameHeight),
+            }}
+          >
+            <span
+              className={`absolute left-0 top-0 whitespace-nowrap px-1 text-xs font-semibold ${
+                isBird ? "bg-yellow-400 text-neutral-900" : "bg-white/80 text-neutral-900"
+              }`}
+            >
+              {detection.class} {Math.round(detection.score * 100)}%
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default DetectionPreview;
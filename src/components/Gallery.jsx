@@ -0,0 +1,174 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Loader2 } from "lucide-react";
+import Lightbox from "@/components/Lightbox";
+import { TILE_SIZES, birdHash, thumbnailSrcSet, thumbnailUrl, toGalleryImage } from "@/lib/gallery";
+
+const PAGE_SIZE = 24;
+
+// Every bird ever sent, newest first. More pages are fetched from /list as the
+// sentinel below the grid scrolls into view; birdKey (from #/bird/:key) opens
+// the lightbox, fetching that bird on its own if it isn't loaded yet.
+function Gallery({ workerUrl, birdKey, onOpen, onClose }) {
+  const [images, setImages] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [linkedImage, setLinkedImage] = useState(null);
+  const loadingRef = useRef(false);
+  const sentinelRef = useRef(null);
+
+  const loadMore = useCallback(async () => {
+    if (loadingRef.current || !hasMore) {
+      return;
+    }
+    loadingRef.current = true;
+    setLoading(true);
+
+    try {
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+      if (cursor) {
+        params.set("cursor", cursor);
+      }
+      const response = await fetch(`${workerUrl}/list?${params}`);
+
+      if (!response.ok) {
+        throw new Error(response.statusText);
+      }
+
+      const data = await response.json();
+      const page = (data.images || []).map((item) => toGalleryImage(item, workerUrl));
+      setImages((prev) => [...prev, ...page]);
+      setCursor(data.cursor);
+      setHasMore(!!data.cursor);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching gallery page:", err);
+      setError("Couldn't load more birds.");
+    } finally {
+      loadingRef.current = false;
+      setLoading(false);
+    }
+  }, [workerUrl, cursor, hasMore]);
+
+  // Fetch the next page whenever the sentinel comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || error) {
+      return;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) {
+          loadMore();
+        }
+      },
+      { rootMargin: "400px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore, error]);
+
+  const selectedIndex = birdKey ? images.findIndex((image) => image.key === birdKey) : -1;
+
+  // Deep links can point past the pages loaded so far
+  useEffect(() => {
+    if (!birdKey || selectedIndex !== -1 || linkedImage?.key === birdKey) {
+      return;
+    }
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const response = await fetch(`${workerUrl}/bird/${encodeURIComponent(birdKey)}`);
+        if (!response.ok) {
+          throw new Error(response.statusText);
+        }
+        const data = await response.json();
+        if (!cancelled) {
+          setLinkedImage(toGalleryImage(data.image, workerUrl));
+        }
+      } catch (err) {
+        console.error("Error fetching bird:", err);
+        if (!cancelled) {
+          onClose();
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [workerUrl, birdKey, selectedIndex, linkedImage, onClose]);
+
+  // Keep a page ahead of the lightbox so "next" doesn't run out
+  useEffect(() => {
+    if (selectedIndex !== -1 && selectedIndex >= images.length - 2) {
+      loadMore();
+    }
+  }, [selectedIndex, images.length, loadMore]);
+
+  const selectedImage =
+    selectedIndex !== -1 ? images[selectedIndex] : linkedImage?.key === birdKey ? linkedImage : null;
+
+  const handlePrev = useCallback(() => onOpen(images[selectedIndex - 1].key), [onOpen, images, selectedIndex]);
+  const handleNext = useCallback(() => onOpen(images[selectedIndex + 1].key), [onOpen, images, selectedIndex]);
+
+  const handleCopyLink = () => {
+    const url = `${window.location.origin}${window.location.pathname}${birdHash(birdKey)}`;
+    navigator.clipboard?.writeText(url).catch((err) => console.error("Error copying link:", err));
+  };
+
+  return (
+    <>
+      <div className="latest-birds">
+        {images.map((image) => (
+          <button
+            key={image.key}
+            type="button"
+            onClick={() => onOpen(image.key)}
+            className="relative w-full aspect-square rounded-lg overflow-hidden bg-gradient-to-br from-muted via-muted/50 to-muted focus-visible:ring-4 focus-visible:ring-yellow-400 outline-none"
+            aria-label={`Open ${image.species || "bird"} sent ${new Date(image.uploadedAt).toLocaleDateString()}`}
+          >
+            <img
+              src={thumbnailUrl(image.url, 640)}
+              srcSet={thumbnailSrcSet(image)}
+              sizes={TILE_SIZES}
+              alt={image.species || "Bird"}
+              loading="lazy"
+              className="w-full h-full object-cover"
+            />
+            {image.species && (
+              <span className="absolute bottom-2 left-2 rounded-full bg-black/60 px-2 py-1 text-xs text-white capitalize">
+                {image.species}
+              </span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      <div ref={sentinelRef} className="flex justify-center py-8 text-sm text-white/80">
+        {loading && <Loader2 className="h-6 w-6 animate-spin" />}
+        {!loading && error && (
+          <button type="button" className="underline" onClick={() => setError(null)}>
+            {error} Try again
+          </button>
+        )}
+        {!loading && !hasMore && (images.length ? "That's every bird so far!" : "No birds yet.")}
+      </div>
+
+      {selectedImage && (
+        <Lightbox
+          image={selectedImage}
+          onClose={onClose}
+          onPrev={selectedIndex > 0 ? handlePrev : undefined}
+          onNext={selectedIndex !== -1 && selectedIndex < images.length - 1 ? handleNext : undefined}
+          onCopyLink={handleCopyLink}
+        />
+      )}
+    </>
+  );
+}
+
+export default Gallery;
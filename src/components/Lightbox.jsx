@@ -0,0 +1,100 @@
+import React, { useEffect } from "react";
+import { ChevronLeft, ChevronRight, Link as LinkIcon, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { describeCapture } from "@/lib/gallery";
+
+// Full-size view of one bird. Arrow keys step through the gallery and Escape
+// closes it; onPrev/onNext are omitted at either end of what has loaded.
+function Lightbox({ image, onClose, onPrev, onNext, onCopyLink }) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      } else if (e.key === "ArrowLeft" && onPrev) {
+        onPrev();
+      } else if (e.key === "ArrowRight" && onNext) {
+        onNext();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose, onPrev, onNext]);
+
+  const details = describeCapture(image);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Bird photo"
+      onClick={onClose}
+    >
+      <Button
+        variant="ghost"
+        size="icon-lg"
+        className="absolute top-4 right-4 text-white"
+        onClick={onClose}
+        aria-label="Close"
+      >
+        <X className="h-6 w-6" />
+      </Button>
+
+      {onPrev && (
+        <Button
+          variant="ghost"
+          size="icon-lg"
+          className="absolute left-2 top-1/2 -translate-y-1/2 text-white"
+          onClick={(e) => {
+            e.stopPropagation();
+            onPrev();
+          }}
+          aria-label="Previous bird"
+        >
+          <ChevronLeft className="h-8 w-8" />
+        </Button>
+      )}
+
+      <figure
+        className="flex max-h-full max-w-4xl flex-col items-center gap-3"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <img
+          src={image.url}
+          alt={image.species || "Bird"}
+          className="max-h-[75vh] max-w-full rounded-lg object-contain"
+        />
+        <figcaption className="text-center text-sm text-white/90 space-y-1">
+          <p className="text-lg font-semibold capitalize">{image.species || "Unidentified bird"}</p>
+          <p>Sent {new Date(image.uploadedAt).toLocaleString()}</p>
+          {details && <p className="text-white/70">{details}</p>}
+          {image.note && <p className="italic text-white/70">"{image.note}"</p>}
+          {onCopyLink && (
+            <Button variant="link" size="sm" className="text-white" onClick={onCopyLink}>
+              <LinkIcon className="h-4 w-4" />
+              Copy link to this bird
+            </Button>
+          )}
+        </figcaption>
+      </figure>
+
+      {onNext && (
+        <Button
+          variant="ghost"
+          size="icon-lg"
+          className="absolute right-2 top-1/2 -translate-y-1/2 text-white"
+          onClick={(e) => {
+            e.stopPropagation();
+            onNext();
+          }}
+          aria-label="Next bird"
+        >
+          <ChevronRight className="h-8 w-8" />
+        </Button>
+      )}
+    </div>
+  );
+}
+
+export default Lightbox;
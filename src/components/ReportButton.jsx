@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import { Flag } from "lucide-react";
+
+// Reason codes and labels come from the Worker's GET /report-reasons, fetched
+// once per page the first time a report menu is opened
+let reasonsRequest = null;
+
+function loadReasons(workerUrl) {
+  if (!reasonsRequest) {
+    reasonsRequest = fetch(`${workerUrl}/report-reasons`)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error("Couldn't load report reasons");
+        }
+        return response.json();
+      })
+      .then((data) => data.reasons)
+      .catch((err) => {
+        reasonsRequest = null;
+        throw err;
+      });
+  }
+  return reasonsRequest;
+}
+
+// Small flag button for a gallery tile that reports the image with a reason.
+// onReported(hidden) runs after a successful report; hidden is true when this
+// report pushed the image over the threshold and it was taken down.
+function ReportButton({ workerUrl, imageKey, onReported }) {
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [reasons, setReasons] = useState(null);
+
+  const toggle = async () => {
+    const opening = !open;
+    setOpen(opening);
+    if (opening && !reasons) {
+      try {
+        setReasons(await loadReasons(workerUrl));
+      } catch (err) {
+        console.error("Error loading report reasons:", err);
+        setStatus(err.message);
+        setOpen(false);
+      }
+    }
+  };
+
+  const report = async (reason) => {
+    setStatus("sending");
+    try {
+      const response = await fetch(`${workerUrl}/report`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ key: imageKey, reason }),
+      });
+      if (!response.ok) {
+        throw new Error(response.status === 429 ? "Too many reports, try again later" : "Couldn't send report");
+      }
+      const data = await response.json();
+      setStatus("done");
+      onReported?.(data.hidden);
+    } catch (err) {
+      console.error("Error reporting image:", err);
+      setStatus(err.message);
+    } finally {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="absolute top-2 right-2 flex flex-col items-end text-xs">
+      <button
+        type="button"
+        onClick={toggle}
+        disabled={status === "sending" || status === "done"}
+        className="rounded-full bg-black/60 p-1.5 text-white hover:bg-black/80 disabled:opacity-60"
+        title={status === "done" ? "Reported" : "Report this image"}
+        aria-label="Report this image"
+        aria-expanded={open}
+      >
+        <Flag className="h-3 w-3" />
+      </button>
+      {open && (
+        <ul className="mt-1 rounded-lg bg-white py-1 text-left text-neutral-900 shadow-lg">
+          {reasons ? (
+            reasons.map(({ code, label }) => (
+              <li key={code}>
+                <button type="button" onClick={() => report(code)} className="w-full px-3 py-1 text-left hover:bg-neutral-100">
+                  {label}
+                </button>
+              </li>
+            ))
+          ) : (
+            <li className="px-3 py-1 text-neutral-500">Loading…</li>
+          )}
+        </ul>
+      )}
+      {status && status !== "sending" && (
+        <span className="mt-1 rounded bg-black/70 px-2 py-0.5 text-white">
+          {status === "done" ? "Thanks, reported" : status}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default ReportButton;
@@ -0,0 +1,42 @@
+import React from "react";
+import { Loader2 } from "lucide-react";
+
+// Top species guesses from the bird-specific model, with confidence. The one
+// picked is stored with the bird and included in the text to Ryan.
+function SpeciesPicker({ options, value, onChange, loading }) {
+  if (loading) {
+    return (
+      <p className="flex items-center gap-2 mt-4 text-sm text-white/80">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Identifying the species...
+      </p>
+    );
+  }
+  if (options.length === 0) {
+    return null;
+  }
+
+  return (
+    <fieldset className="w-full max-w-md mt-4 rounded-lg bg-white/10 p-4 text-left text-sm text-white space-y-2">
+      <legend className="font-semibold">Which bird is it?</legend>
+      {options.map((option) => (
+        <label key={option.name} className="flex items-center gap-2">
+          <input
+            type="radio"
+            name="species"
+            checked={value === option.name}
+            onChange={() => onChange(option.name)}
+          />
+          <span className="capitalize">{option.name}</span>
+          <span className="ml-auto text-white/70">{Math.round(option.probability * 100)}%</span>
+        </label>
+      ))}
+      <label className="flex items-center gap-2">
+        <input type="radio" name="species" checked={!value} onChange={() => onChange(null)} />
+        <span>Not sure</span>
+      </label>
+    </fieldset>
+  );
+}
+
+export default SpeciesPicker;
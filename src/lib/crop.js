@@ -0,0 +1,88 @@
+// Crop-to-bird using COCO-SSD's bounding boxes. A small, distant bird is only
+// a few pixels of MobileNet's 224x224 input when the whole frame is
+// classified, so each detected bird is cropped out (with some padding) first.
+// The crops are also offered to the sender as an alternative to the original.
+
+// Extra context kept around each box, as a fraction of its width/height
+const CROP_PADDING = 0.2
+// Birds cropped individually; a flock gets one crop around all of them as well
+const MAX_BIRD_CROPS = 3
+// A crop covering nearly the whole photo isn't worth offering
+const MAX_CROP_AREA = 0.8
+// Width of the preview thumbnails shown to the sender
+const PREVIEW_WIDTH = 400
+
+// COCO-SSD bird detections, most confident first
+export function birdDetections(predictions) {
+  return predictions
+    .filter((prediction) => prediction.class === "bird")
+    .sort((a, b) => b.score - a.score)
+}
+
+// Grow an [x, y, width, height] box by `padding` on every side, clamped to the image
+function padBox([x, y, width, height], imageWidth, imageHeight, padding = CROP_PADDING) {
+  const left = Math.max(0, Math.floor(x - width * padding))
+  const top = Math.max(0, Math.floor(y - height * padding))
+  const right = Math.min(imageWidth, Math.ceil(x + width * (1 + padding)))
+  const bottom = Math.min(imageHeight, Math.ceil(y + height * (1 + padding)))
+  return [left, top, right - left, bottom - top]
+}
+
+// Smallest box containing every box
+function unionBox(boxes) {
+  const left = Math.min(...boxes.map(([x]) => x))
+  const top = Math.min(...boxes.map(([, y]) => y))
+  const right = Math.max(...boxes.map(([x, , width]) => x + width))
+  const bottom = Math.max(...boxes.map(([, y, , height]) => y + height))
+  return [left, top, right - left, bottom - top]
+}
+
+// Copy a region of an image onto a canvas at full resolution. Canvases work
+// anywhere an <img> does here: MobileNet, the species model and the upload.
+function cropToCanvas(imgElement, [x, y, width, height]) {
+  const canvas = document.createElement("canvas")
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext("2d").drawImage(imgElement, x, y, width, height, 0, 0, width, height)
+  return canvas
+}
+
+function previewUrl(canvas) {
+  const scale = Math.min(1, PREVIEW_WIDTH / canvas.width)
+  const preview = document.createElement("canvas")
+  preview.width = Math.round(canvas.width * scale)
+  preview.height = Math.round(canvas.height * scale)
+  preview.getContext("2d").drawImage(canvas, 0, 0, preview.width, preview.height)
+  return preview.toDataURL("image/jpeg", 0.7)
+}
+
+// Padded crops of the detected birds as [{ label, box, canvas, preview, score }]:
+// one per bird (up to MAX_BIRD_CROPS), plus one around all of them when there
+// are several. Crops that would be most of the photo anyway are left out.
+export function cropBirds(imgElement, detections) {
+  const imageWidth = imgElement.naturalWidth || imgElement.width
+  const imageHeight = imgElement.naturalHeight || imgElement.height
+  const birds = detections.slice(0, MAX_BIRD_CROPS)
+
+  const regions = birds.map((bird, index) => ({
+    label: birds.length > 1 ? `Bird ${index + 1}` : "Bird",
+    box: padBox(bird.bbox, imageWidth, imageHeight),
+    score: bird.score,
+  }))
+  if (detections.length > 1) {
+    regions.push({
+      label: `All ${detections.length} birds`,
+      box: padBox(unionBox(detections.map((bird) => bird.bbox)), imageWidth, imageHeight),
+      score: Math.max(...detections.map((bird) => bird.score)),
+    })
+  }
+
+  return regions
+    .filter(({ box: [, , width, height] }) =>
+      width > 0 && height > 0 && width * height <= imageWidth * imageHeight * MAX_CROP_AREA
+    )
+    .map((region) => {
+      const canvas = cropToCanvas(imgElement, region.box)
+      return { ...region, canvas, preview: previewUrl(canvas) }
+    })
+}
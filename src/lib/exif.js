@@ -0,0 +1,119 @@
+// Minimal EXIF reader for JPEG files: just the capture date and GPS position.
+// The upload itself is re-encoded through a canvas, which drops all EXIF, so
+// this is the only place the original metadata is looked at.
+
+const TAG_EXIF_IFD = 0x8769
+const TAG_GPS_IFD = 0x8825
+const TAG_DATE_TIME_ORIGINAL = 0x9003
+const TAG_DATE_TIME = 0x0132
+const TAG_GPS_LATITUDE_REF = 0x0001
+const TAG_GPS_LATITUDE = 0x0002
+const TAG_GPS_LONGITUDE_REF = 0x0003
+const TAG_GPS_LONGITUDE = 0x0004
+
+function readIfd(view, tiffStart, offset, littleEndian) {
+  const entries = {}
+  const count = view.getUint16(tiffStart + offset, littleEndian)
+
+  for (let i = 0; i < count; i++) {
+    const entry = tiffStart + offset + 2 + i * 12
+    entries[view.getUint16(entry, littleEndian)] = {
+      type: view.getUint16(entry + 2, littleEndian),
+      count: view.getUint32(entry + 4, littleEndian),
+      valueOffset: entry + 8,
+    }
+  }
+  return entries
+}
+
+function readAscii(view, tiffStart, entry, littleEndian) {
+  const start = entry.count > 4
+    ? tiffStart + view.getUint32(entry.valueOffset, littleEndian)
+    : entry.valueOffset
+  let text = ""
+  for (let i = 0; i < entry.count - 1; i++) {
+    text += String.fromCharCode(view.getUint8(start + i))
+  }
+  return text
+}
+
+function readDegrees(view, tiffStart, entry, littleEndian) {
+  const start = tiffStart + view.getUint32(entry.valueOffset, littleEndian)
+  const [degrees, minutes, seconds] = [0, 1, 2].map((i) => {
+    const numerator = view.getUint32(start + i * 8, littleEndian)
+    const denominator = view.getUint32(start + i * 8 + 4, littleEndian)
+    return denominator ? numerator / denominator : 0
+  })
+  return degrees + minutes / 60 + seconds / 3600
+}
+
+// "2024:05:03 14:22:01" -> "2024-05-03T14:22:01"
+function parseExifDate(value) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || "")
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}` : null
+}
+
+function parseTiff(view, tiffStart) {
+  const littleEndian = view.getUint16(tiffStart) === 0x4949
+  const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian)
+  const result = { capturedAt: null, latitude: null, longitude: null }
+
+  let dateEntry = ifd0[TAG_DATE_TIME]
+  if (ifd0[TAG_EXIF_IFD]) {
+    const exifIfd = readIfd(view, tiffStart, view.getUint32(ifd0[TAG_EXIF_IFD].valueOffset, littleEndian), littleEndian)
+    dateEntry = exifIfd[TAG_DATE_TIME_ORIGINAL] || dateEntry
+  }
+  if (dateEntry) {
+    result.capturedAt = parseExifDate(readAscii(view, tiffStart, dateEntry, littleEndian))
+  }
+
+  if (ifd0[TAG_GPS_IFD]) {
+    const gps = readIfd(view, tiffStart, view.getUint32(ifd0[TAG_GPS_IFD].valueOffset, littleEndian), littleEndian)
+    if (gps[TAG_GPS_LATITUDE] && gps[TAG_GPS_LONGITUDE]) {
+      const latRef = gps[TAG_GPS_LATITUDE_REF] ? readAscii(view, tiffStart, gps[TAG_GPS_LATITUDE_REF], littleEndian) : "N"
+      const lonRef = gps[TAG_GPS_LONGITUDE_REF] ? readAscii(view, tiffStart, gps[TAG_GPS_LONGITUDE_REF], littleEndian) : "E"
+      const latitude = readDegrees(view, tiffStart, gps[TAG_GPS_LATITUDE], littleEndian)
+      const longitude = readDegrees(view, tiffStart, gps[TAG_GPS_LONGITUDE], littleEndian)
+      result.latitude = latRef === "S" ? -latitude : latitude
+      result.longitude = lonRef === "W" ? -longitude : longitude
+    }
+  }
+
+  return result
+}
+
+// Read { capturedAt, latitude, longitude } from a JPEG file; fields are null when missing
+export async function readExifDetails(file) {
+  const empty = { capturedAt: null, latitude: null, longitude: null }
+
+  try {
+    const view = new DataView(await file.arrayBuffer())
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) {
+      return empty
+    }
+
+    let offset = 2
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset)
+      const length = view.getUint16(offset + 2)
+
+      // APP1 "Exif\0\0"
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+        return parseTiff(view, offset + 10)
+      }
+      if (marker === 0xffda || (marker & 0xff00) !== 0xff00) {
+        break
+      }
+      offset += 2 + length
+    }
+  } catch (error) {
+    console.error("Error reading EXIF:", error)
+  }
+
+  return empty
+}
+
+// Round coordinates to one decimal place (~11km), roughly city level
+export function coarsenCoordinate(value) {
+  return Math.round(value * 10) / 10
+}
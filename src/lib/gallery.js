@@ -0,0 +1,76 @@
+// Helpers shared by the latest-birds grid and the full gallery
+
+// Map an image from the Worker's /list or /bird API to what the UI renders
+export function toGalleryImage(item, workerUrl) {
+  return {
+    key: item.Key,
+    // Url is signed (and expires) when the Worker's gallery requires signatures
+    url: item.Url || `${workerUrl}/image/${item.Key}`,
+    uploadedAt: item.LastModified,
+    species: item.Species,
+    deliveryStatus: item.DeliveryStatus,
+    replies: item.Replies || [],
+    capturedAt: item.CapturedAt,
+    location: item.Location,
+    note: item.Note,
+    // Thumbnail widths the Worker generated (null while they're being made)
+    // and the original's width
+    widths: item.Widths ?? null,
+    width: item.Width ?? null,
+  }
+}
+
+// Widths the Worker generates thumbnails at (see worker/thumbnails.js)
+const THUMBNAIL_WIDTHS = [320, 640, 1024]
+
+// Column widths of the .latest-birds grid at each breakpoint
+export const TILE_SIZES = "(min-width: 1024px) 25vw, (min-width: 640px) 50vw, 100vw"
+
+// URL of an image's thumbnail at least `width` wide; the Worker serves the
+// original for any width it has no thumbnail for
+export function thumbnailUrl(url, width) {
+  return `${url}${url.includes("?") ? "&" : "?"}w=${width}`
+}
+
+// srcset for a gallery tile: the widths generated for this image plus the
+// original when it is wider, or every width while they're still being made.
+// undefined when there is nothing to choose between.
+export function thumbnailSrcSet(image) {
+  const widths = image.widths ?? THUMBNAIL_WIDTHS
+  const candidates = widths.map((width) => `${thumbnailUrl(image.url, width)} ${width}w`)
+  if (image.widths && image.width > Math.max(0, ...widths)) {
+    candidates.push(`${image.url} ${image.width}w`)
+  }
+  return candidates.length > 0 ? candidates.join(", ") : undefined
+}
+
+// "Seen 5/3/2024 near 37.5, -77.4", or "" when the sender shared neither
+export function describeCapture(image) {
+  return [
+    image.capturedAt &&
+      `Seen ${new Date(image.capturedAt.slice(0, 10) + "T00:00:00").toLocaleDateString()}`,
+    image.location &&
+      `near ${image.location.Latitude}, ${image.location.Longitude}`,
+  ].filter(Boolean).join(" ")
+}
+
+// Shareable link that opens a bird straight in the gallery lightbox
+export function birdHash(key) {
+  return `#/bird/${encodeURIComponent(key)}`
+}
+
+// Parse the location hash into { view: "home" | "gallery" | "admin", birdKey }
+export function parseGalleryHash(hash) {
+  if (hash === "#/admin") {
+    return { view: "admin", birdKey: null }
+  }
+  const bird = /^#\/bird\/(.+)$/.exec(hash)
+  if (bird) {
+    try {
+      return { view: "gallery", birdKey: decodeURIComponent(bird[1]) }
+    } catch {
+      return { view: "gallery", birdKey: null }
+    }
+  }
+  return { view: hash === "#/gallery" ? "gallery" : "home", birdKey: null }
+}
@@ -0,0 +1,27 @@
+// Client-side NSFW screen, run next to the bird models before anything is sent.
+// The Worker screens every upload again (worker/safetyCheck.js); this one just
+// lets the app warn the sender and mark the upload so it's held for review.
+import { load } from "nsfwjs/core"
+import { MobileNetV2Model } from "nsfwjs/models/mobilenet_v2"
+
+// NSFWJS classes that flag an image, and the probability each needs to reach
+export const NSFW_THRESHOLDS = {
+  Porn: 0.5,
+  Hentai: 0.5,
+  Sexy: 0.8,
+}
+
+// Only the small MobileNetV2 model is bundled
+export function loadSafetyModel() {
+  return load("MobileNetV2", { modelDefinitions: [MobileNetV2Model] })
+}
+
+// The first class over its threshold as { label, probability }, or null if the
+// image looks fine
+export async function screenImage(model, imgElement) {
+  const predictions = await model.classify(imgElement)
+  const flagged = predictions.find(
+    (prediction) => prediction.probability >= (NSFW_THRESHOLDS[prediction.className] ?? Infinity)
+  )
+  return flagged ? { label: flagged.className, probability: flagged.probability } : null
+}
@@ -0,0 +1,77 @@
+// Optional fine-grained species identification with a bird-specific model
+// (e.g. Google's AIY Birds V1, ~960 species). It is only used when
+// VITE_SPECIES_MODEL_URL and VITE_SPECIES_LABELS_URL are set, and only loaded
+// the first time a bird is detected, so nobody downloads it up front.
+import * as tf from "@tensorflow/tfjs"
+
+const MODEL_URL = import.meta.env.VITE_SPECIES_MODEL_URL
+const LABELS_URL = import.meta.env.VITE_SPECIES_LABELS_URL
+
+// The AIY model takes 224x224 RGB scaled to [0, 1] and outputs probabilities
+const INPUT_SIZE = 224
+// Label map rows that aren't species
+const IGNORED_LABELS = ["background"]
+
+let speciesModel
+
+export function isSpeciesModelConfigured() {
+  return !!(MODEL_URL && LABELS_URL)
+}
+
+// Label map CSV: "id,name" rows, with an optional header row
+function parseLabels(csv) {
+  const labels = []
+  for (const line of csv.split(/\r?\n/)) {
+    const [id, ...name] = line.split(",")
+    if (/^\d+$/.test(id.trim())) {
+      labels[Number(id)] = name.join(",").trim()
+    }
+  }
+  return labels
+}
+
+// Load the model and its labels once; later calls share the same promise
+export function loadSpeciesModel() {
+  if (!speciesModel) {
+    speciesModel = Promise.all([
+      tf.loadGraphModel(MODEL_URL, { fromTFHub: /tfhub\.dev|kaggle\.com/.test(MODEL_URL) }),
+      fetch(LABELS_URL).then((response) => {
+        if (!response.ok) {
+          throw new Error(`Failed to load species labels: ${response.status}`)
+        }
+        return response.text()
+      }),
+    ]).then(([model, csv]) => ({ model, labels: parseLabels(csv) }))
+    // Let a failed download be retried with the next photo
+    speciesModel.catch(() => {
+      speciesModel = undefined
+    })
+  }
+  return speciesModel
+}
+
+// The k most likely species as [{ name, probability }], most likely first
+export async function identifySpecies({ model, labels }, imgElement, k = 3) {
+  const probabilities = tf.tidy(() => {
+    const input = tf.browser
+      .fromPixels(imgElement)
+      .resizeBilinear([INPUT_SIZE, INPUT_SIZE])
+      .toFloat()
+      .div(255)
+      .expandDims()
+    return model.predict(input).squeeze()
+  })
+  const values = await probabilities.data()
+  probabilities.dispose()
+
+  return Array.from(values, (probability, index) => ({ name: labels[index], probability }))
+    .filter(({ name }) => name && !IGNORED_LABELS.includes(name.toLowerCase()))
+    .sort((a, b) => b.probability - a.probability)
+    .slice(0, k)
+}
+
+// MobileNet class names list synonyms ("goldfinch, Carduelis carduelis");
+// only the first one is worth showing or sending
+export function speciesName(className) {
+  return className.split(",")[0].trim()
+}
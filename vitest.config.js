@@ -0,0 +1,32 @@
+import { readFileSync } from "fs";
+import { defineConfig, mergeConfig } from "vitest/config";
+import viteConfig from "./vite.config.js";
+
+// The Worker imports its WASM codecs as compiled modules (wrangler bundles
+// them that way); load them the same way under Vitest
+function wasmModules() {
+  return {
+    name: "wasm-modules",
+    enforce: "pre",
+    load(id) {
+      if (id.endsWith(".wasm")) {
+        const base64 = readFileSync(id).toString("base64");
+        return `export default new WebAssembly.Module(Uint8Array.from(atob("${base64}"), (c) => c.charCodeAt(0)));`;
+      }
+    },
+  };
+}
+
+export default mergeConfig(
+  viteConfig,
+  defineConfig({
+    plugins: [wasmModules()],
+    test: {
+      server: {
+        deps: {
+          inline: [/@jsquash/],
+        },
+      },
+    },
+  })
+);
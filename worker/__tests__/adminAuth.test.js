@@ -0,0 +1,63 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { authenticateAdmin } from '../adminAuth.js';
+
+const env = { ACCESS_TEAM_DOMAIN: 'team.cloudflareaccess.com', ACCESS_AUD: 'aud123' };
+
+function base64Url(value) {
+  return btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function accessRequest(assertion) {
+  return new Request('https://worker.example.com/admin/images', {
+    headers: { 'Cf-Access-Jwt-Assertion': assertion },
+  });
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+describe('authenticateAdmin with Cloudflare Access', () => {
+  const header = base64Url({ alg: 'RS256', kid: 'key-1' });
+  const claims = base64Url({ aud: 'aud123', iss: 'https://team.cloudflareaccess.com', exp: 9999999999 });
+
+  it('rejects malformed assertions without fetching keys', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+
+    expect(await authenticateAdmin(accessRequest(`${header}.${claims}.not*base64`), env)).toBeNull();
+    expect(await authenticateAdmin(accessRequest(`${header}.%%%.sig`), env)).toBeNull();
+    expect(await authenticateAdmin(accessRequest(`${header}.${base64Url(null)}.sig`), env)).toBeNull();
+    expect(await authenticateAdmin(accessRequest('only.two'), env)).toBeNull();
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('refetches the keys for an unknown key ID at most once a minute', async () => {
+    vi.useFakeTimers();
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => Response.json({ keys: [] }));
+    const rotatingEnv = { ...env, ACCESS_TEAM_DOMAIN: 'rotating.cloudflareaccess.com' };
+    const assertion = `${header}.${claims}.${base64Url('signature')}`;
+
+    expect(await authenticateAdmin(accessRequest(assertion), rotatingEnv)).toBeNull();
+    expect(await authenticateAdmin(accessRequest(assertion), rotatingEnv)).toBeNull();
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(61 * 1000);
+    expect(await authenticateAdmin(accessRequest(assertion), rotatingEnv)).toBeNull();
+    expect(await authenticateAdmin(accessRequest(assertion), rotatingEnv)).toBeNull();
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+    expect(fetchSpy).toHaveBeenCalledWith('https://rotating.cloudflareaccess.com/cdn-cgi/access/certs');
+  });
+});
+
+describe('authenticateAdmin with a bearer token', () => {
+  it('accepts only the configured token', async () => {
+    const tokenEnv = { ADMIN_TOKEN: 'secret' };
+    const request = token => new Request('https://worker.example.com/admin/images', {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+    expect(await authenticateAdmin(request('secret'), tokenEnv)).toEqual({ method: 'token', subject: 'admin' });
+    expect(await authenticateAdmin(request('wrong'), tokenEnv)).toBeNull();
+  });
+});
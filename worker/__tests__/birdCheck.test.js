@@ -0,0 +1,72 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { checkForBird, decideBirdCheck } from '../birdCheck.js';
+
+const input = { bytes: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]), mime: 'image/jpeg' };
+
+function classifierEnv(predictions, extra = {}) {
+  const run = vi.fn(async () => predictions);
+  return { IMAGE_CLASSIFIER: 'workers-ai', AI: { run }, ...extra };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('checkForBird', () => {
+  it('finds a bird among the top predictions', async () => {
+    const env = classifierEnv([
+      { label: 'Branch', score: 0.5 },
+      { label: 'Goldfinch, Carduelis carduelis', score: 0.3 },
+    ]);
+    expect(await checkForBird(env, input)).toEqual({ verdict: 'bird', label: 'goldfinch, carduelis carduelis', score: 0.3 });
+  });
+
+  it('ignores bird labels scoring under the threshold', async () => {
+    const env = classifierEnv([
+      { label: 'tabby, tabby cat', score: 0.9 },
+      { label: 'goldfinch, Carduelis carduelis', score: 0.05 },
+    ]);
+    expect(await checkForBird(env, input)).toEqual({ verdict: 'not-bird', label: 'tabby, tabby cat', score: 0.9 });
+  });
+
+  it('reports classifier failures as errors', async () => {
+    const env = classifierEnv(null);
+    env.AI.run.mockRejectedValue(new Error('model unavailable'));
+    expect((await checkForBird(env, input)).verdict).toBe('error');
+  });
+
+  it('doesn\'t call the classifier without decoded input', async () => {
+    const env = classifierEnv([{ label: 'goldfinch', score: 1 }]);
+    expect(await checkForBird(env, null)).toEqual({ verdict: 'error', label: null, score: null });
+    expect(env.AI.run).not.toHaveBeenCalled();
+  });
+});
+
+describe('decideBirdCheck', () => {
+  it('sends birds and approved images under every policy', () => {
+    for (const policy of ['block', 'moderate', 'allow']) {
+      expect(decideBirdCheck({ BIRD_CHECK_POLICY: policy }, 'bird')).toBe('send');
+      expect(decideBirdCheck({ BIRD_CHECK_POLICY: policy }, 'approved')).toBe('send');
+    }
+  });
+
+  it('rejects non-birds under block but holds images it couldn\'t check', () => {
+    const env = { BIRD_CHECK_POLICY: 'block' };
+    expect(decideBirdCheck(env, 'not-bird')).toBe('block');
+    expect(decideBirdCheck(env, 'error')).toBe('hold');
+  });
+
+  it('holds non-birds and errors under moderate, the default', () => {
+    expect(decideBirdCheck({}, 'not-bird')).toBe('hold');
+    expect(decideBirdCheck({}, 'error')).toBe('hold');
+  });
+
+  it('sends everything under allow', () => {
+    expect(decideBirdCheck({ BIRD_CHECK_POLICY: 'allow' }, 'not-bird')).toBe('send');
+    expect(decideBirdCheck({ BIRD_CHECK_POLICY: 'allow' }, 'error')).toBe('send');
+  });
+
+  it('refuses unknown policies', () => {
+    expect(() => decideBirdCheck({ BIRD_CHECK_POLICY: 'maybe' }, 'bird')).toThrow('Unknown bird check policy');
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { parseCaptureDetails } from '../captureDetails.js';
+
+describe('parseCaptureDetails', () => {
+  it('keeps real dates and date-times', () => {
+    expect(parseCaptureDetails({ capturedAt: '2024-05-03' }).capturedAt).toBe('2024-05-03');
+    expect(parseCaptureDetails({ capturedAt: '2024-02-29T07:15' }).capturedAt).toBe('2024-02-29T07:15');
+    expect(parseCaptureDetails({ capturedAt: '2024-12-31T23:59:59' }).capturedAt).toBe('2024-12-31T23:59:59');
+  });
+
+  it('drops dates that match the format but do not exist', () => {
+    for (const capturedAt of ['2024-13-45', '2023-02-29', '2024-04-31', '2024-00-10', '2024-05-03T24:00', '2024-05-03T12:60', '2024-05-03T12:00:61']) {
+      expect(parseCaptureDetails({ capturedAt }).capturedAt, capturedAt).toBeUndefined();
+    }
+  });
+
+  it('drops values in other formats', () => {
+    expect(parseCaptureDetails({ capturedAt: 'May 3, 2024' }).capturedAt).toBeUndefined();
+    expect(parseCaptureDetails({ capturedAt: '2024-05-03T07:15Z' }).capturedAt).toBeUndefined();
+    expect(parseCaptureDetails({ capturedAt: 20240503 }).capturedAt).toBeUndefined();
+  });
+});
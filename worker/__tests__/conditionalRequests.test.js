@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { isNotModified, parseRange } from '../conditionalRequests.js';
+
+const ETAG = '"abc123"';
+const LAST_MODIFIED = 'Wed, 01 May 2024 12:00:00 GMT';
+
+function request(headers) {
+  return new Request('https://worker.example.com/image/bird-1.jpg', { headers });
+}
+
+describe('isNotModified', () => {
+  it('matches If-None-Match against the ETag, weak or strong', () => {
+    expect(isNotModified(request({ 'If-None-Match': ETAG }), ETAG, LAST_MODIFIED)).toBe(true);
+    expect(isNotModified(request({ 'If-None-Match': `W/${ETAG}` }), ETAG, LAST_MODIFIED)).toBe(true);
+    expect(isNotModified(request({ 'If-None-Match': `"other", ${ETAG}` }), ETAG, LAST_MODIFIED)).toBe(true);
+    expect(isNotModified(request({ 'If-None-Match': '*' }), ETAG, LAST_MODIFIED)).toBe(true);
+    expect(isNotModified(request({ 'If-None-Match': '"other"' }), ETAG, LAST_MODIFIED)).toBe(false);
+  });
+
+  it('compares If-Modified-Since with the upload time', () => {
+    expect(isNotModified(request({ 'If-Modified-Since': LAST_MODIFIED }), ETAG, LAST_MODIFIED)).toBe(true);
+    expect(isNotModified(request({ 'If-Modified-Since': 'Thu, 02 May 2024 00:00:00 GMT' }), ETAG, LAST_MODIFIED)).toBe(true);
+    expect(isNotModified(request({ 'If-Modified-Since': 'Tue, 30 Apr 2024 00:00:00 GMT' }), ETAG, LAST_MODIFIED)).toBe(false);
+    expect(isNotModified(request({ 'If-Modified-Since': 'yesterday' }), ETAG, LAST_MODIFIED)).toBe(false);
+  });
+
+  it('lets If-None-Match take precedence over If-Modified-Since', () => {
+    const headers = { 'If-None-Match': '"other"', 'If-Modified-Since': LAST_MODIFIED };
+    expect(isNotModified(request(headers), ETAG, LAST_MODIFIED)).toBe(false);
+  });
+
+  it('is false without validators', () => {
+    expect(isNotModified(request({}), ETAG, LAST_MODIFIED)).toBe(false);
+  });
+});
+
+describe('parseRange', () => {
+  it('parses bounded, open-ended and suffix ranges', () => {
+    expect(parseRange('bytes=0-99', 1000)).toEqual({ offset: 0, length: 100 });
+    expect(parseRange('bytes=900-', 1000)).toEqual({ offset: 900, length: 100 });
+    expect(parseRange('bytes=-100', 1000)).toEqual({ offset: 900, length: 100 });
+  });
+
+  it('clamps ranges that run past the end', () => {
+    expect(parseRange('bytes=900-5000', 1000)).toEqual({ offset: 900, length: 100 });
+    expect(parseRange('bytes=-5000', 1000)).toEqual({ offset: 0, length: 1000 });
+  });
+
+  it('reports ranges starting past the end as unsatisfiable', () => {
+    expect(parseRange('bytes=1000-', 1000)).toEqual({ unsatisfiable: true });
+    expect(parseRange('bytes=-0', 1000)).toEqual({ unsatisfiable: true });
+  });
+
+  it('ignores missing, malformed and multi-range headers', () => {
+    expect(parseRange(null, 1000)).toBeNull();
+    expect(parseRange('bytes=-', 1000)).toBeNull();
+    expect(parseRange('bytes=50-10', 1000)).toBeNull();
+    expect(parseRange('items=0-10', 1000)).toBeNull();
+    expect(parseRange('bytes=0-10,20-30', 1000)).toBeNull();
+  });
+});
@@ -0,0 +1,193 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import {
+  MalformedImageError,
+  UnsupportedImageError,
+  stripImageMetadata,
+} from '../metadata.js';
+
+// Small real images with metadata spliced in: EXIF with Orientation 6, a camera
+// make and a GPS IFD, plus XMP/IPTC/comments/text chunks depending on the format
+function fixture(name) {
+  return new Uint8Array(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+}
+
+function includesText(bytes, text) {
+  return Buffer.from(bytes).includes(text);
+}
+
+// JPEG segments before the start of scan, as [{ marker, payload }]
+function jpegSegments(bytes) {
+  const segments = [];
+  let pos = 2;
+  while (bytes[pos + 1] !== 0xda) {
+    const length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+    segments.push({ marker: bytes[pos + 1], payload: bytes.subarray(pos + 4, pos + 2 + length) });
+    pos += 2 + length;
+  }
+  return segments;
+}
+
+function pngChunkTypes(bytes) {
+  const types = [];
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  for (let pos = 8; pos < bytes.length; pos += 12 + view.getUint32(pos)) {
+    types.push(Buffer.from(bytes.subarray(pos + 4, pos + 8)).toString('latin1'));
+  }
+  return types;
+}
+
+function webpChunkTypes(bytes) {
+  const types = [];
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  for (let pos = 12; pos < bytes.length;) {
+    const size = view.getUint32(pos + 4, true);
+    types.push(Buffer.from(bytes.subarray(pos, pos + 4)).toString('latin1'));
+    pos += 8 + size + (size % 2);
+  }
+  return types;
+}
+
+describe('stripImageMetadata', () => {
+  describe('JPEG', () => {
+    const original = fixture('exif-orientation.jpg');
+    const stripped = stripImageMetadata(original, 'image/jpeg');
+
+    it('removes EXIF, XMP, IPTC and comments', () => {
+      expect(includesText(original, 'Canon')).toBe(true);
+      expect(includesText(stripped, 'Canon')).toBe(false);
+      expect(includesText(stripped, 'xmpmeta')).toBe(false);
+      expect(includesText(stripped, 'secret-iptc')).toBe(false);
+      expect(includesText(stripped, 'shot by Jane')).toBe(false);
+    });
+
+    it('keeps JFIF and the image data', () => {
+      const segments = jpegSegments(stripped);
+      expect(segments[0].marker).toBe(0xe0);
+      const scan = original.subarray(Buffer.from(original).indexOf(Buffer.from([0xff, 0xda])));
+      expect(Buffer.from(stripped).subarray(stripped.length - scan.length)).toEqual(Buffer.from(scan));
+    });
+
+    it('rebuilds an APP1 holding only the orientation, right after JFIF', () => {
+      const segments = jpegSegments(stripped);
+      const app1 = segments.filter(segment => segment.marker === 0xe1);
+      expect(app1).toHaveLength(1);
+      expect(segments[1].marker).toBe(0xe1);
+
+      const payload = app1[0].payload;
+      expect(Buffer.from(payload.subarray(0, 6)).toString('latin1')).toBe('Exif\0\0');
+      const tiff = new DataView(payload.buffer, payload.byteOffset + 6, payload.length - 6);
+      expect(tiff.getUint16(0)).toBe(0x4d4d);
+      expect(tiff.getUint16(8)).toBe(1); // a single IFD0 entry...
+      expect(tiff.getUint16(10)).toBe(0x0112); // ...the Orientation tag
+      expect(tiff.getUint16(18)).toBe(6);
+    });
+
+    it('adds no orientation segment when the photo is upright', () => {
+      const segments = jpegSegments(original);
+      const exif = segments.find(segment => segment.marker === 0xe1).payload;
+      // Orientation is IFD0's second entry; its value sits 8 bytes into the entry
+      const valueAt = 6 + 8 + 2 + 12 + 8;
+      const upright = original.slice();
+      const offset = exif.byteOffset - original.byteOffset + valueAt;
+      upright[offset] = 0;
+      upright[offset + 1] = 1;
+
+      const result = jpegSegments(stripImageMetadata(upright, 'image/jpeg'));
+      expect(result.some(segment => segment.marker === 0xe1)).toBe(false);
+    });
+
+    it('drops anything appended after the end of the image', () => {
+      // A secondary JPEG (as MPF/Ultra HDR append) carrying its own Exif GPS block
+      const exif = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), Buffer.from('GPSLatitude 37.5 secret-gps', 'latin1')]);
+      const trailer = Buffer.concat([
+        Buffer.from([0xff, 0xd8, 0xff, 0xe1, (exif.length + 2) >> 8, (exif.length + 2) & 0xff]),
+        exif,
+        Buffer.from([0xff, 0xd9]),
+      ]);
+      const appended = new Uint8Array(Buffer.concat([original, trailer]));
+
+      const result = stripImageMetadata(appended, 'image/jpeg');
+      expect(includesText(result, 'secret-gps')).toBe(false);
+      expect(Buffer.from(result)).toEqual(Buffer.from(stripped));
+      expect(Array.from(result.subarray(-2))).toEqual([0xff, 0xd9]);
+    });
+
+    it('throws MalformedImageError for truncated or corrupt files', () => {
+      expect(() => stripImageMetadata(original.subarray(0, 30), 'image/jpeg')).toThrow(MalformedImageError);
+      expect(() => stripImageMetadata(original.subarray(0, original.length - 2), 'image/jpeg')).toThrow(MalformedImageError);
+
+      const corrupt = original.slice();
+      corrupt[2] = 0x00; // first segment no longer starts with a marker
+      expect(() => stripImageMetadata(corrupt, 'image/jpeg')).toThrow(MalformedImageError);
+    });
+  });
+
+  describe('PNG', () => {
+    const original = fixture('metadata.png');
+
+    it('removes text, EXIF and timestamp chunks', () => {
+      expect(pngChunkTypes(original)).toEqual(expect.arrayContaining(['tEXt', 'eXIf', 'tIME']));
+
+      const stripped = stripImageMetadata(original, 'image/png');
+      const types = pngChunkTypes(stripped);
+      expect(types).not.toContain('tEXt');
+      expect(types).not.toContain('eXIf');
+      expect(types).not.toContain('tIME');
+      expect(types[0]).toBe('IHDR');
+      expect(types).toContain('IDAT');
+      expect(types.at(-1)).toBe('IEND');
+    });
+
+    it('throws MalformedImageError for truncated files', () => {
+      expect(() => stripImageMetadata(original.subarray(0, 40), 'image/png')).toThrow(MalformedImageError);
+      expect(() => stripImageMetadata(original.subarray(0, original.length - 6), 'image/png')).toThrow(MalformedImageError);
+    });
+  });
+
+  describe('WebP', () => {
+    const original = fixture('metadata.webp');
+
+    it('removes EXIF and XMP chunks and clears their VP8X flags', () => {
+      expect(webpChunkTypes(original)).toEqual(['VP8X', 'VP8 ', 'EXIF', 'XMP ']);
+
+      const stripped = stripImageMetadata(original, 'image/webp');
+      expect(webpChunkTypes(stripped)).toEqual(['VP8X', 'VP8 ']);
+      expect(stripped[20] & 0x0c).toBe(0);
+      expect(includesText(stripped, 'Canon')).toBe(false);
+    });
+
+    it('fixes the RIFF size', () => {
+      const stripped = stripImageMetadata(original, 'image/webp');
+      const view = new DataView(stripped.buffer, stripped.byteOffset, stripped.length);
+      expect(view.getUint32(4, true)).toBe(stripped.length - 8);
+    });
+
+    it('throws MalformedImageError for truncated files', () => {
+      expect(() => stripImageMetadata(original.subarray(0, original.length - 10), 'image/webp')).toThrow(MalformedImageError);
+    });
+  });
+
+  describe('GIF', () => {
+    const original = fixture('metadata.gif');
+
+    it('removes comments and XMP but keeps looping', () => {
+      const stripped = stripImageMetadata(original, 'image/gif');
+      expect(includesText(stripped, 'shot by Jane')).toBe(false);
+      expect(includesText(stripped, 'XMP Data')).toBe(false);
+      expect(includesText(stripped, 'NETSCAPE2.0')).toBe(true);
+      expect(stripped.at(-1)).toBe(0x3b);
+    });
+
+    it('throws MalformedImageError for truncated files', () => {
+      expect(() => stripImageMetadata(original.subarray(0, original.length - 1), 'image/gif')).toThrow(MalformedImageError);
+      expect(() => stripImageMetadata(original.subarray(0, 10), 'image/gif')).toThrow(MalformedImageError);
+    });
+  });
+
+  it('refuses types whose metadata it cannot strip', () => {
+    const tiff = new Uint8Array([0x4d, 0x4d, 0x00, 0x2a, 0, 0, 0, 8]);
+    expect(() => stripImageMetadata(tiff, 'image/tiff')).toThrow(UnsupportedImageError);
+    expect(() => stripImageMetadata(tiff, 'image/heic')).toThrow(UnsupportedImageError);
+  });
+});
@@ -0,0 +1,121 @@
+import { createServer } from 'node:http';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getMessagingProvider, ProviderError } from '../providers/index.js';
+import { clearSentMessages, MAX_SENT_MESSAGES, sentMessages } from '../providers/log.js';
+
+const recipient = { id: 'rcp_test', name: 'Ryan', phoneNumber: '+15555550123', email: 'ryan@example.com' };
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('twilio provider', () => {
+  // Local stand-in for api.twilio.com; TWILIO_API_BASE points the provider at it
+  let server;
+  let requests;
+  let reply;
+  let env;
+
+  beforeAll(async () => {
+    server = createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        requests.push({ method: request.method, url: request.url, headers: request.headers, body });
+        response.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(reply.body));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    env = {
+      MESSAGING_PROVIDER: 'twilio',
+      TWILIO_ACCOUNT_SID: 'AC123',
+      TWILIO_AUTH_TOKEN: 'secret',
+      TWILIO_PHONE_NUMBER: '+15555550100',
+      TWILIO_API_BASE: `http://127.0.0.1:${server.address().port}`,
+    };
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    reply = { status: 201, body: { sid: 'SM123', status: 'queued' } };
+  });
+
+  it('posts the message to the Messages API', async () => {
+    const result = await getMessagingProvider(env).send({
+      recipient,
+      body: 'A bird!',
+      mediaUrl: 'https://worker.example.com/image/bird-1.jpg?exp=1&sig=x',
+      statusCallback: 'https://worker.example.com/twilio/status',
+    });
+
+    expect(result).toEqual({ id: 'SM123', status: 'queued' });
+    expect(requests).toHaveLength(1);
+
+    const [request] = requests;
+    expect(request.method).toBe('POST');
+    expect(request.url).toBe('/2010-04-01/Accounts/AC123/Messages.json');
+    expect(request.headers.authorization).toBe(`Basic ${btoa('AC123:secret')}`);
+
+    const form = new URLSearchParams(request.body);
+    expect(form.get('From')).toBe('+15555550100');
+    expect(form.get('To')).toBe('+15555550123');
+    expect(form.get('Body')).toBe('A bird!');
+    expect(form.get('MediaUrl')).toBe('https://worker.example.com/image/bird-1.jpg?exp=1&sig=x');
+    expect(form.get('StatusCallback')).toBe('https://worker.example.com/twilio/status');
+  });
+
+  it('raises a ProviderError with Twilio\'s status when it rejects the message', async () => {
+    reply = { status: 400, body: { code: 21211, message: "The 'To' number is not valid" } };
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const error = await getMessagingProvider(env)
+      .send({ recipient, body: 'A bird!', mediaUrl: 'https://worker.example.com/image/bird-1.jpg' })
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error.status).toBe(400);
+    expect(error.details).toContain('21211');
+  });
+
+  it('refuses recipients without a phone number before calling Twilio', async () => {
+    const error = await getMessagingProvider(env)
+      .send({ recipient: { ...recipient, phoneNumber: null }, body: 'A bird!', mediaUrl: 'https://x' })
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error.status).toBe(400);
+    expect(requests).toHaveLength(0);
+  });
+});
+
+describe('log provider', () => {
+  beforeEach(() => {
+    clearSentMessages();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('records sent messages', async () => {
+    const result = await getMessagingProvider({ MESSAGING_PROVIDER: 'log' })
+      .send({ recipient, body: 'A bird!', mediaUrl: 'https://x' });
+
+    expect(result.status).toBe('sent');
+    expect(sentMessages).toEqual([{ id: result.id, recipientId: 'rcp_test', body: 'A bird!', mediaUrl: 'https://x' }]);
+  });
+
+  it('keeps only the most recent messages', async () => {
+    const provider = getMessagingProvider({ MESSAGING_PROVIDER: 'log' });
+    for (let i = 0; i < MAX_SENT_MESSAGES + 5; i++) {
+      await provider.send({ recipient, body: `Bird ${i}`, mediaUrl: 'https://x' });
+    }
+
+    expect(sentMessages).toHaveLength(MAX_SENT_MESSAGES);
+    expect(sentMessages[0].body).toBe('Bird 5');
+    expect(sentMessages.at(-1).body).toBe(`Bird ${MAX_SENT_MESSAGES + 4}`);
+  });
+});
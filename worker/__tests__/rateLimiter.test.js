@@ -0,0 +1,101 @@
+import { fileURLToPath } from 'node:url';
+import { Miniflare } from 'miniflare';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import {
+  checkRateLimit,
+  getRateLimitRoute,
+  RATE_LIMITS,
+} from '../rateLimiter.js';
+
+// A tiny Worker around checkRateLimit; Miniflare runs the RateLimiter Durable
+// Object locally and provides it as the RATE_LIMITER binding
+const TEST_WORKER = `
+import { checkRateLimit, RateLimiter } from '../rateLimiter.js';
+export { RateLimiter };
+export default {
+  async fetch(request, env) {
+    const { route, ip } = await request.json();
+    return Response.json(await checkRateLimit(env, route, ip));
+  },
+};
+`;
+
+describe('checkRateLimit with the Durable Object', () => {
+  let mf;
+
+  beforeAll(() => {
+    mf = new Miniflare({
+      modules: true,
+      script: TEST_WORKER,
+      scriptPath: fileURLToPath(new URL('./rateLimitWorker.js', import.meta.url)),
+      modulesRoot: fileURLToPath(new URL('..', import.meta.url)),
+      modulesRules: [{ type: 'ESModule', include: ['**/*.js'] }],
+      durableObjects: { RATE_LIMITER: 'RateLimiter' },
+    });
+  });
+
+  afterAll(async () => {
+    await mf.dispose();
+  });
+
+  async function check(route, ip) {
+    const response = await mf.dispatchFetch('http://localhost/', {
+      method: 'POST',
+      body: JSON.stringify({ route, ip }),
+    });
+    return await response.json();
+  }
+
+  it('allows a route\'s budget and then blocks', async () => {
+    const { limit } = RATE_LIMITS['/sms'];
+    for (let i = 0; i < limit; i++) {
+      const result = await check('/sms', '203.0.113.1');
+      expect(result.allowed).toBe(true);
+      expect(result.remaining).toBe(limit - i - 1);
+    }
+
+    const blocked = await check('/sms', '203.0.113.1');
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.remaining).toBe(0);
+    expect(blocked.resetTime).toBeGreaterThan(Date.now());
+  });
+
+  it('keeps separate counters per client and per route', async () => {
+    for (let i = 0; i < RATE_LIMITS['/report'].limit; i++) {
+      await check('/report', '203.0.113.2');
+    }
+    expect((await check('/report', '203.0.113.2')).allowed).toBe(false);
+    expect((await check('/report', '203.0.113.3')).allowed).toBe(true);
+    expect((await check('/upload', '203.0.113.2')).allowed).toBe(true);
+  });
+
+  it('shares the default budget between unlisted routes', async () => {
+    const first = await check('/recipients', '203.0.113.4');
+    const second = await check('/report-reasons', '203.0.113.4');
+    expect(second.remaining).toBe(first.remaining - 1);
+  });
+}, 30000);
+
+describe('checkRateLimit without a binding', () => {
+  it('throws unless the in-memory stand-in is enabled', async () => {
+    await expect(checkRateLimit({}, '/upload', '203.0.113.5')).rejects.toThrow('RATE_LIMITER not configured');
+  });
+
+  it('uses the in-memory stand-in when RATE_LIMIT_IN_MEMORY is set', async () => {
+    const env = { RATE_LIMIT_IN_MEMORY: 'true' };
+    const { limit } = RATE_LIMITS['/upload'];
+    for (let i = 0; i < limit; i++) {
+      expect((await checkRateLimit(env, '/upload', '203.0.113.6')).allowed).toBe(true);
+    }
+    expect((await checkRateLimit(env, '/upload', '203.0.113.6')).allowed).toBe(false);
+  });
+});
+
+describe('getRateLimitRoute', () => {
+  it('keys budgets by the first path segment', () => {
+    expect(getRateLimitRoute('/send/3f2a')).toBe('/send');
+    expect(getRateLimitRoute('/admin/images/bird-1.jpg')).toBe('/admin');
+    expect(getRateLimitRoute('/upload')).toBe('/upload');
+    expect(getRateLimitRoute('/')).toBe('/');
+  });
+});
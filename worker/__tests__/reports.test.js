@@ -0,0 +1,78 @@
+import { readdirSync, readFileSync } from 'node:fs';
+import { Miniflare } from 'miniflare';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { markReportsReviewed, recordReport } from '../reports.js';
+
+const MIGRATIONS = new URL('../../migrations/', import.meta.url);
+
+// Statements of every migration, in order
+function migrationStatements() {
+  return readdirSync(MIGRATIONS)
+    .filter(name => name.endsWith('.sql'))
+    .sort()
+    .flatMap(name => readFileSync(new URL(name, MIGRATIONS), 'utf8')
+      .replace(/--.*$/gm, '')
+      .split(';')
+      .map(statement => statement.trim())
+      .filter(Boolean));
+}
+
+// Miniflare provides a local D1 database as the DB binding, with every
+// migration applied
+describe('recordReport with D1', () => {
+  let mf;
+  let env;
+
+  beforeAll(async () => {
+    mf = new Miniflare({
+      modules: true,
+      script: 'export default { fetch() { return new Response(null); } };',
+      d1Databases: ['DB'],
+    });
+    const db = await mf.getD1Database('DB');
+    await db.batch(migrationStatements().map(statement => db.prepare(statement)));
+    env = { DB: db, REPORT_HASH_SECRET: 'test-secret', REPORT_HIDE_THRESHOLD: '2' };
+  });
+
+  afterAll(async () => {
+    await mf.dispose();
+  });
+
+  beforeEach(async () => {
+    await env.DB.batch([
+      env.DB.prepare('DELETE FROM reports'),
+      env.DB.prepare('DELETE FROM images'),
+      env.DB.prepare("INSERT INTO images (key, uploaded_at, size, content_type) VALUES ('bird-1.jpg', 1, 1, 'image/jpeg')"),
+    ]);
+  });
+
+  it('counts one open report per client and image', async () => {
+    expect(await recordReport(env, { key: 'bird-1.jpg', reason: 'spam', ip: '203.0.113.1' })).toEqual({ reports: 1, hidden: false });
+    expect(await recordReport(env, { key: 'bird-1.jpg', reason: 'other', ip: '203.0.113.1' })).toEqual({ reports: 1, hidden: false });
+    expect(await recordReport(env, { key: 'bird-1.jpg', reason: 'spam', ip: '203.0.113.2' })).toEqual({ reports: 2, hidden: true });
+  });
+
+  it('lets a client report again once its report was reviewed', async () => {
+    await recordReport(env, { key: 'bird-1.jpg', reason: 'spam', ip: '203.0.113.1' });
+    await markReportsReviewed(env, 'bird-1.jpg');
+
+    expect(await recordReport(env, { key: 'bird-1.jpg', reason: 'other', ip: '203.0.113.1' })).toEqual({ reports: 1, hidden: false });
+    const { results } = await env.DB.prepare('SELECT reason, reviewed FROM reports ORDER BY id').all();
+    expect(results).toEqual([{ reason: 'spam', reviewed: 1 }, { reason: 'other', reviewed: 0 }]);
+  });
+
+  it('stores a keyed hash of the reporter, never the IP', async () => {
+    await recordReport(env, { key: 'bird-1.jpg', reason: 'spam', ip: '203.0.113.1' });
+    const reporter = await env.DB.prepare('SELECT reporter FROM reports').first('reporter');
+
+    expect(reporter).toMatch(/^[0-9a-f]{64}$/);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode('203.0.113.1:bird-1.jpg'));
+    const unkeyed = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    expect(reporter).not.toBe(unkeyed);
+  });
+
+  it('refuses to record reports without the secret', async () => {
+    await expect(recordReport({ DB: env.DB }, { key: 'bird-1.jpg', reason: 'spam', ip: '203.0.113.1' }))
+      .rejects.toThrow('REPORT_HASH_SECRET not configured');
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { planRetention } from '../retention.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 100 * DAY;
+const NO_LIMITS = { maxAgeDays: null, maxCount: Infinity, maxBytes: Infinity };
+
+function image(key, ageDays, { size = 100, thumbnailBytes = 0, pinned = 0 } = {}) {
+  return { key, uploaded_at: NOW - ageDays * DAY, size, thumbnail_bytes: thumbnailBytes, pinned };
+}
+
+const deletedKeys = plan => plan.deletions.map(deletion => deletion.key);
+
+describe('planRetention', () => {
+  it('keeps everything within the limits', () => {
+    const plan = planRetention([image('a', 1), image('b', 2)], { ...NO_LIMITS, maxCount: 2, maxBytes: 200 }, NOW);
+    expect(plan).toEqual({ deletions: [], remainingCount: 2, remainingBytes: 200 });
+  });
+
+  it('deletes images older than the max age', () => {
+    const images = [image('new', 1), image('old', 10), image('older', 20)];
+    const plan = planRetention(images, { ...NO_LIMITS, maxAgeDays: 7 }, NOW);
+
+    expect(plan.deletions.map(({ key, reason }) => ({ key, reason }))).toEqual([
+      { key: 'older', reason: 'max-age' },
+      { key: 'old', reason: 'max-age' },
+    ]);
+    expect(plan.remainingCount).toBe(1);
+  });
+
+  it('deletes the oldest images beyond the max count', () => {
+    const images = [image('c', 1), image('a', 3), image('b', 2), image('d', 0)];
+    const plan = planRetention(images, { ...NO_LIMITS, maxCount: 2 }, NOW);
+
+    expect(deletedKeys(plan)).toEqual(['a', 'b']);
+    expect(plan.deletions.every(deletion => deletion.reason === 'max-count')).toBe(true);
+  });
+
+  it('breaks upload time ties by key', () => {
+    const plan = planRetention([image('b', 5), image('a', 5), image('c', 5)], { ...NO_LIMITS, maxCount: 1 }, NOW);
+    expect(deletedKeys(plan)).toEqual(['a', 'b']);
+  });
+
+  it('counts thumbnails towards the max bytes', () => {
+    const images = [
+      image('old', 2, { size: 100, thumbnailBytes: 50 }),
+      image('new', 1, { size: 100, thumbnailBytes: 50 }),
+    ];
+    const plan = planRetention(images, { ...NO_LIMITS, maxBytes: 200 }, NOW);
+
+    expect(plan.deletions).toEqual([
+      { key: 'old', size: 100, thumbnailBytes: 50, uploadedAt: NOW - 2 * DAY, reason: 'max-bytes' },
+    ]);
+    expect(plan.remainingBytes).toBe(150);
+  });
+
+  it('reports the first rule each image breaks', () => {
+    const images = [image('ancient', 30), image('old', 3, { size: 500 }), image('mid', 2), image('new', 1)];
+    const plan = planRetention(images, { maxAgeDays: 7, maxCount: 2, maxBytes: 150 }, NOW);
+
+    expect(plan.deletions.map(({ key, reason }) => [key, reason])).toEqual([
+      ['ancient', 'max-age'],
+      ['old', 'max-count'],
+      ['mid', 'max-bytes'],
+    ]);
+  });
+
+  it('never deletes pinned images but counts them towards the limits', () => {
+    const images = [
+      image('pinned', 50, { pinned: 1 }),
+      image('old', 10),
+      image('new', 1),
+    ];
+    const plan = planRetention(images, { maxAgeDays: 7, maxCount: 1, maxBytes: Infinity }, NOW);
+
+    expect(deletedKeys(plan)).toEqual(['old', 'new']);
+    expect(plan.remainingCount).toBe(1);
+  });
+});
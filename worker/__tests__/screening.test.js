@@ -0,0 +1,91 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { encodeJpegPreview } from '../thumbnails.js';
+import { screenImage } from '../screening.js';
+
+// The WASM codecs don't load under Node; the preview is all screening needs from them
+vi.mock('../thumbnails.js', () => ({
+  decodeImage: vi.fn(async () => null),
+  encodeJpegPreview: vi.fn(async () => new Uint8Array([0xff, 0xd8, 0xff, 0xd9])),
+}));
+
+const pixels = { width: 4000, height: 3000, data: new Uint8ClampedArray(0) };
+
+// Workers AI binding that answers classify and screen calls from `answers`
+function workersAiEnv(answers, extra = {}) {
+  const run = vi.fn(async (model, input) => (input.prompt ? { description: answers.screen } : answers.classify));
+  return { IMAGE_CLASSIFIER: 'workers-ai', AI: { run }, ...extra };
+}
+
+const BIRD = [{ label: 'Goldfinch, Carduelis carduelis', score: 0.9 }];
+const CAT = [{ label: 'tabby, tabby cat', score: 0.9 }];
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('screenImage', () => {
+  it('classifies a small JPEG preview of the decoded pixels', async () => {
+    const env = workersAiEnv({ classify: BIRD, screen: 'safe' });
+    const result = await screenImage(env, { pixels });
+
+    expect(result.decision).toBe('send');
+    expect(result.flagReason).toBeNull();
+    expect(encodeJpegPreview).toHaveBeenCalledWith(pixels, 512);
+    expect(env.AI.run).toHaveBeenCalledTimes(2);
+    for (const [, input] of env.AI.run.mock.calls) {
+      expect(input.image).toEqual([0xff, 0xd8, 0xff, 0xd9]);
+    }
+  });
+
+  it('holds images without decoded pixels and never calls the classifiers', async () => {
+    const env = workersAiEnv({ classify: BIRD, screen: 'safe' }, { BIRD_CHECK_POLICY: 'allow' });
+    const result = await screenImage(env, { pixels: null });
+
+    expect(result.decision).toBe('hold');
+    expect(result.flagReason).toBe('Not screened: the image could not be decoded');
+    expect(result.birdCheck.verdict).toBe('error');
+    expect(result.safetyCheck.verdict).toBe('error');
+    expect(env.AI.run).not.toHaveBeenCalled();
+  });
+
+  it('holds images whose preview fails to encode', async () => {
+    encodeJpegPreview.mockRejectedValueOnce(new Error('out of memory'));
+    const env = workersAiEnv({ classify: BIRD, screen: 'safe' });
+
+    expect((await screenImage(env, { pixels })).decision).toBe('hold');
+    expect(env.AI.run).not.toHaveBeenCalled();
+  });
+
+  it('holds unsafe images whatever the bird check policy', async () => {
+    const env = workersAiEnv({ classify: BIRD, screen: 'gore' }, { BIRD_CHECK_POLICY: 'allow' });
+    const result = await screenImage(env, { pixels });
+
+    expect(result.decision).toBe('hold');
+    expect(result.flagReason).toBe('Safety check: gore');
+  });
+
+  it('holds images the browser flagged', async () => {
+    const env = workersAiEnv({ classify: BIRD, screen: 'safe' });
+    const result = await screenImage(env, { pixels, clientFlag: 'Porn' });
+
+    expect(result.decision).toBe('hold');
+    expect(result.flagReason).toBe('Flagged in the browser: Porn');
+  });
+
+  it('holds images that couldn\'t be screened', async () => {
+    const env = workersAiEnv({ classify: BIRD, screen: 'maybe?' });
+    const result = await screenImage(env, { pixels });
+
+    expect(result.decision).toBe('hold');
+    expect(result.flagReason).toBe('Safety check failed');
+  });
+
+  it('blocks non-birds under the block policy rather than holding them', async () => {
+    const env = workersAiEnv({ classify: CAT, screen: 'safe' }, { BIRD_CHECK_POLICY: 'block' });
+    const result = await screenImage(env, { pixels });
+
+    expect(result.decision).toBe('block');
+    expect(result.birdCheck).toEqual({ verdict: 'not-bird', label: 'tabby, tabby cat', score: 0.9 });
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { isAwaitingThumbnails } from '../imageIndex.js';
+import { selectThumbnail, THUMBNAIL_WIDTHS } from '../thumbnails.js';
+
+describe('selectThumbnail', () => {
+  it('picks the smallest width at least as wide as requested', () => {
+    expect(selectThumbnail('bird-1.jpg', 300, 'image/webp').key).toBe('thumbnails/bird-1.jpg/320.webp');
+    expect(selectThumbnail('bird-1.jpg', 320, 'image/webp').key).toBe('thumbnails/bird-1.jpg/320.webp');
+    expect(selectThumbnail('bird-1.jpg', 321, 'image/webp').key).toBe('thumbnails/bird-1.jpg/640.webp');
+  });
+
+  it('serves JPEG unless the client accepts WebP', () => {
+    expect(selectThumbnail('bird-1.jpg', 640, 'image/avif,image/webp,*/*')).toEqual({
+      key: 'thumbnails/bird-1.jpg/640.webp',
+      mime: 'image/webp',
+    });
+    expect(selectThumbnail('bird-1.jpg', 640, '*/*')).toEqual({ key: 'thumbnails/bird-1.jpg/640.jpg', mime: 'image/jpeg' });
+    expect(selectThumbnail('bird-1.jpg', 640, null).mime).toBe('image/jpeg');
+  });
+
+  it('returns null (the original) above the largest width', () => {
+    expect(selectThumbnail('bird-1.jpg', Math.max(...THUMBNAIL_WIDTHS) + 1, 'image/webp')).toBeNull();
+  });
+
+  it('only considers the widths generated for the image', () => {
+    expect(selectThumbnail('bird-1.jpg', 1024, 'image/webp', [320, 640])).toBeNull();
+    expect(selectThumbnail('bird-1.jpg', 500, 'image/webp', [640, 320]).key).toBe('thumbnails/bird-1.jpg/640.webp');
+    expect(selectThumbnail('bird-1.gif', 320, 'image/webp', [])).toBeNull();
+  });
+});
+
+describe('isAwaitingThumbnails', () => {
+  const now = Date.parse('2024-05-01T12:00:00Z');
+
+  it('is true only for recent uploads with no widths recorded', () => {
+    expect(isAwaitingThumbnails({ thumbnail_widths: null, uploaded_at: now - 60 * 1000 }, now)).toBe(true);
+    expect(isAwaitingThumbnails({ thumbnail_widths: null, uploaded_at: now - 60 * 60 * 1000 }, now)).toBe(false);
+    expect(isAwaitingThumbnails({ thumbnail_widths: '[320]', uploaded_at: now }, now)).toBe(false);
+    expect(isAwaitingThumbnails(null, now)).toBe(false);
+  });
+});
@@ -0,0 +1,134 @@
+import { fileURLToPath } from 'node:url';
+import { Miniflare } from 'miniflare';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { MAX_REQUEST_SIZE, readUpload, UploadError } from '../uploads.js';
+
+function upload(body, headers) {
+  return new Request('https://worker.example.com/upload', { method: 'POST', body, headers });
+}
+
+async function uploadError(request) {
+  const error = await readUpload(request).catch(e => e);
+  expect(error).toBeInstanceOf(UploadError);
+  return error;
+}
+
+describe('readUpload', () => {
+  it('rejects invalid JSON with 400', async () => {
+    const error = await uploadError(upload('{"fileName":', { 'Content-Type': 'application/json', 'Content-Length': '12' }));
+    expect(error.status).toBe(400);
+    expect(error.message).toBe('Invalid JSON');
+
+    const notAnObject = await uploadError(upload('null', { 'Content-Type': 'application/json', 'Content-Length': '4' }));
+    expect(notAnObject.status).toBe(400);
+  });
+
+  it('rejects a malformed multipart body with 400', async () => {
+    const body = 'not really multipart';
+    const error = await uploadError(upload(body, {
+      'Content-Type': 'multipart/form-data; boundary=xyz',
+      'Content-Length': String(body.length),
+    }));
+    expect(error.status).toBe(400);
+  });
+
+  it('needs a Content-Length within the limit before parsing a body', async () => {
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('--xyz--'));
+        controller.close();
+      },
+    });
+    const missing = await uploadError(new Request('https://worker.example.com/upload', {
+      method: 'POST',
+      body: stream,
+      duplex: 'half',
+      headers: { 'Content-Type': 'multipart/form-data; boundary=xyz' },
+    }));
+    expect(missing.status).toBe(411);
+
+    const tooLarge = await uploadError(upload('{}', {
+      'Content-Type': 'application/json',
+      'Content-Length': String(MAX_REQUEST_SIZE + 1),
+    }));
+    expect(tooLarge.status).toBe(413);
+  });
+
+  it('rejects a Content-Length that is not a non-negative integer with 400', async () => {
+    for (const contentLength of ['abc', '-1', '1.5', '1e3', '12abc']) {
+      const error = await uploadError(upload('{}', { 'Content-Type': 'application/json', 'Content-Length': contentLength }));
+      expect(error.status, contentLength).toBe(400);
+      expect(error.message).toBe('Invalid Content-Length');
+    }
+
+    const raw = await uploadError(new Request('https://worker.example.com/upload?fileName=bird.jpg', {
+      method: 'PUT',
+      body: 'abc',
+      headers: { 'Content-Length': 'three' },
+    }));
+    expect(raw.status).toBe(400);
+  });
+});
+
+// FixedLengthStream only exists in the Workers runtime, so raw bodies that
+// disagree with their Content-Length are read by a tiny Worker under Miniflare
+const TEST_WORKER = `
+import { readUpload, readUploadBytes, UploadError } from '../uploads.js';
+export default {
+  async fetch(request) {
+    const { body, contentLength } = await request.json();
+    const upload = new Request('https://worker.example.com/upload?fileName=bird.jpg', {
+      method: 'PUT',
+      body,
+      headers: { 'Content-Length': contentLength },
+    });
+    try {
+      const bytes = await readUploadBytes(await readUpload(upload));
+      return Response.json({ size: bytes.length });
+    } catch (error) {
+      return Response.json({ uploadError: error instanceof UploadError, status: error.status, message: error.message });
+    }
+  },
+};
+`;
+
+describe('readUploadBytes with a raw body', () => {
+  let mf;
+
+  beforeAll(() => {
+    mf = new Miniflare({
+      modules: true,
+      script: TEST_WORKER,
+      scriptPath: fileURLToPath(new URL('./uploadWorker.js', import.meta.url)),
+      modulesRoot: fileURLToPath(new URL('..', import.meta.url)),
+      modulesRules: [{ type: 'ESModule', include: ['**/*.js'] }],
+      compatibilityDate: '2024-01-01', // as in wrangler.toml
+    });
+  });
+
+  afterAll(async () => {
+    await mf.dispose();
+  });
+
+  async function readRaw(body, contentLength) {
+    const response = await mf.dispatchFetch('http://localhost/', {
+      method: 'POST',
+      body: JSON.stringify({ body, contentLength }),
+    });
+    return await response.json();
+  }
+
+  it('reads a body that matches its Content-Length', async () => {
+    expect(await readRaw('0123456789', '10')).toEqual({ size: 10 });
+  });
+
+  it('rejects a body shorter or longer than its Content-Length with 400', async () => {
+    for (const [body, contentLength] of [['01234', '10'], ['0123456789', '5']]) {
+      expect(await readRaw(body, contentLength), contentLength).toEqual({
+        uploadError: true,
+        status: 400,
+        message: 'Body does not match Content-Length',
+      });
+    }
+  });
+});
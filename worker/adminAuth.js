@@ -0,0 +1,137 @@
+/**
+ * Authentication for the /admin routes
+ * Two ways in, either or both can be configured:
+ * - Authorization: Bearer <ADMIN_TOKEN>
+ * - Cloudflare Access: the Cf-Access-Jwt-Assertion header, an RS256 JWT checked
+ *   against the team's public keys (ACCESS_TEAM_DOMAIN) and audience tag (ACCESS_AUD)
+ */
+
+import { timingSafeEqual } from './crypto.js';
+
+// Access rotates its signing keys rarely; refetch them at most this often
+const JWKS_TTL = 60 * 60 * 1000;
+// Unknown key IDs trigger an early refetch, but no more often than this, so
+// forged tokens can't make every request fetch the certs
+const JWKS_MIN_REFRESH_INTERVAL = 60 * 1000;
+
+let jwksCache = null;
+
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4)), char => char.charCodeAt(0));
+}
+
+function decodeJson(value) {
+  return JSON.parse(new TextDecoder().decode(base64UrlDecode(value)));
+}
+
+async function getAccessKeys(teamDomain, { refresh = false } = {}) {
+  const now = Date.now();
+  if (jwksCache && jwksCache.teamDomain === teamDomain && now < jwksCache.expires &&
+      (!refresh || now - jwksCache.fetchedAt < JWKS_MIN_REFRESH_INTERVAL)) {
+    return jwksCache.keys;
+  }
+
+  const response = await fetch(`https://${teamDomain}/cdn-cgi/access/certs`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Access certs: ${response.status}`);
+  }
+  const { keys } = await response.json();
+  jwksCache = { teamDomain, keys, fetchedAt: now, expires: now + JWKS_TTL };
+  return keys;
+}
+
+/**
+ * Verify a Cloudflare Access JWT; returns its claims or null
+ */
+async function verifyAccessJwt(token, env) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  let header;
+  let claims;
+  let signature;
+  try {
+    header = decodeJson(parts[0]);
+    claims = decodeJson(parts[1]);
+    signature = base64UrlDecode(parts[2]);
+  } catch (e) {
+    return null;
+  }
+  if (header?.alg !== 'RS256' || !claims || typeof claims !== 'object') {
+    return null;
+  }
+
+  // A key ID we haven't seen may mean the keys were rotated since the last fetch
+  let jwk = (await getAccessKeys(env.ACCESS_TEAM_DOMAIN)).find(key => key.kid === header.kid);
+  if (!jwk) {
+    jwk = (await getAccessKeys(env.ACCESS_TEAM_DOMAIN, { refresh: true })).find(key => key.kid === header.kid);
+  }
+  if (!jwk) {
+    return null;
+  }
+
+  const key = await crypto.subtle.importKey(
+    'jwk',
+    jwk,
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['verify']
+  );
+  const valid = await crypto.subtle.verify(
+    'RSASSA-PKCS1-v1_5',
+    key,
+    signature,
+    new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+  );
+  if (!valid) {
+    return null;
+  }
+
+  const now = Date.now() / 1000;
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(env.ACCESS_AUD) ||
+      claims.iss !== `https://${env.ACCESS_TEAM_DOMAIN}` ||
+      !(claims.exp > now) ||
+      (claims.nbf && claims.nbf > now)) {
+    return null;
+  }
+
+  return claims;
+}
+
+/**
+ * Whether any admin authentication method is configured
+ */
+export function isAdminConfigured(env) {
+  return !!env.ADMIN_TOKEN || !!(env.ACCESS_TEAM_DOMAIN && env.ACCESS_AUD);
+}
+
+/**
+ * Authenticate an admin request
+ * Returns who made it ({ method, subject }), or null if it isn't authorised.
+ */
+export async function authenticateAdmin(request, env) {
+  if (!isAdminConfigured(env)) {
+    throw new Error('Admin authentication not configured');
+  }
+
+  const authorization = request.headers.get('Authorization') || '';
+  if (env.ADMIN_TOKEN && authorization.startsWith('Bearer ')) {
+    if (timingSafeEqual(authorization.slice('Bearer '.length).trim(), env.ADMIN_TOKEN)) {
+      return { method: 'token', subject: 'admin' };
+    }
+  }
+
+  const assertion = request.headers.get('Cf-Access-Jwt-Assertion');
+  if (env.ACCESS_TEAM_DOMAIN && env.ACCESS_AUD && assertion) {
+    const claims = await verifyAccessJwt(assertion, env);
+    if (claims) {
+      return { method: 'access', subject: claims.email || claims.sub };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,80 @@
+/**
+ * Server-side bird verification
+ * The browser's check is advisory only ("Send Anyway" skips it, and so does a
+ * direct call to /upload or /sms), so every image is classified again here
+ * before anything is sent. BIRD_CHECK_POLICY decides what happens to images
+ * that aren't birds, or that couldn't be classified:
+ * - block: reject non-birds outright; unclassifiable images are held
+ * - moderate (default): store the image hidden and flagged, and hold its send
+ *   until an admin unhides it
+ * - allow: send anyway, just record the verdict
+ */
+
+import { getImageClassifier, isBirdLabel } from './classifiers/index.js';
+
+export const BIRD_CHECK_POLICIES = ['block', 'moderate', 'allow'];
+export const DEFAULT_BIRD_CHECK_POLICY = 'moderate';
+
+// A bird label must be among this many top predictions with at least this score
+const TOP_PREDICTIONS = 5;
+const MIN_BIRD_SCORE = 0.1;
+
+/**
+ * The configured policy for images that fail the check
+ */
+export function getBirdCheckPolicy(env) {
+  const policy = (env.BIRD_CHECK_POLICY || DEFAULT_BIRD_CHECK_POLICY).toLowerCase();
+  if (!BIRD_CHECK_POLICIES.includes(policy)) {
+    throw new Error(`Unknown bird check policy: ${policy}`);
+  }
+  return policy;
+}
+
+/**
+ * Classify an image ({ bytes, mime }, see screening.js)
+ * Returns { verdict: 'bird' | 'not-bird' | 'error', label, score } where label
+ * is the best bird prediction for birds and the top prediction otherwise.
+ * Without input (the image couldn't be decoded) the classifier isn't called.
+ */
+export async function checkForBird(env, input) {
+  if (!input) {
+    return { verdict: 'error', label: null, score: null };
+  }
+
+  let predictions;
+  try {
+    predictions = (await getImageClassifier(env).classify(input.bytes, input.mime)).slice(0, TOP_PREDICTIONS);
+  } catch (error) {
+    console.error('Error classifying image:', error);
+    return { verdict: 'error', label: null, score: null };
+  }
+
+  const bird = predictions.find(({ label, score }) => score >= MIN_BIRD_SCORE && isBirdLabel(label));
+  const best = bird || predictions[0];
+  return {
+    verdict: bird ? 'bird' : 'not-bird',
+    label: best?.label ?? null,
+    score: best?.score ?? null,
+  };
+}
+
+/**
+ * What to do with an image given its check result: 'send', 'block' or 'hold'
+ * Images an admin has approved ('approved') are always sent.
+ */
+export function decideBirdCheck(env, verdict) {
+  const policy = getBirdCheckPolicy(env);
+  if (verdict === 'bird' || verdict === 'approved' || policy === 'allow') {
+    return 'send';
+  }
+  return policy === 'block' && verdict === 'not-bird' ? 'block' : 'hold';
+}
+
+/**
+ * Flag reason shown in the admin console for a held image
+ */
+export function describeBirdCheck(result) {
+  return result.verdict === 'error'
+    ? 'Bird check failed'
+    : `Bird check: looks like ${result.label || 'something else'}`;
+}
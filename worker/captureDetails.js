@@ -0,0 +1,105 @@
+/**
+ * Opt-in capture details: when and where a bird was seen, plus a note
+ * Stored as R2 customMetadata on the image. Everything is re-validated here
+ * and locations are coarsened again in case a client sends precise ones.
+ */
+
+const MAX_NOTE_LENGTH = 280;
+
+// Rounding to one decimal place (~11km) keeps locations at roughly city level
+function coarsen(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.round(number * 10) / 10 : null;
+}
+
+// "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM[:SS]" (local time of the sighting)
+const CAPTURED_AT_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// The pattern alone admits dates like 2024-13-45; a real date survives a
+// round trip through Date unchanged
+function isValidCapturedAt(value) {
+  const match = CAPTURED_AT_PATTERN.exec(value);
+  if (!match) {
+    return false;
+  }
+  const [year, month, day, hour, minute, second] = match.slice(1).map(part => Number(part ?? 0));
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day &&
+    date.getUTCHours() === hour &&
+    date.getUTCMinutes() === minute &&
+    date.getUTCSeconds() === second;
+}
+
+/**
+ * Validate raw upload fields into { capturedAt, latitude, longitude, note, includeInMessage }
+ * Invalid or missing values are dropped rather than rejected.
+ */
+export function parseCaptureDetails(fields) {
+  const details = {};
+
+  if (typeof fields.capturedAt === 'string' && isValidCapturedAt(fields.capturedAt)) {
+    details.capturedAt = fields.capturedAt;
+  }
+
+  const latitude = coarsen(fields.latitude);
+  const longitude = coarsen(fields.longitude);
+  if (latitude !== null && longitude !== null &&
+      Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+    details.latitude = latitude;
+    details.longitude = longitude;
+  }
+
+  if (typeof fields.note === 'string') {
+    // Strip control characters; the note ends up in an SMS
+    const note = fields.note.replace(/[\u0000-\u001f\u007f]/g, ' ').trim().slice(0, MAX_NOTE_LENGTH);
+    if (note) {
+      details.note = note;
+    }
+  }
+
+  details.includeInMessage = fields.includeDetails === true || fields.includeDetails === 'true';
+  return details;
+}
+
+/**
+ * Convert capture details to R2 customMetadata (string values only)
+ */
+export function toCustomMetadata(details) {
+  const metadata = {};
+  if (details.capturedAt) {
+    metadata.capturedAt = details.capturedAt;
+  }
+  if (details.latitude !== undefined) {
+    metadata.latitude = String(details.latitude);
+    metadata.longitude = String(details.longitude);
+  }
+  if (details.note) {
+    metadata.note = details.note;
+  }
+  return metadata;
+}
+
+/**
+ * Human-readable summary for the message body, e.g.
+ * 'Seen May 3, 2024 near 37.5, -77.4: "In my backyard"'
+ */
+export function formatCaptureDetails(details) {
+  const parts = [];
+
+  if (details.capturedAt) {
+    const [year, month, day] = details.capturedAt.slice(0, 10).split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    parts.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' }));
+  }
+  if (details.latitude !== undefined) {
+    parts.push(`near ${details.latitude}, ${details.longitude}`);
+  }
+
+  let text = parts.length ? `Seen ${parts.join(' ')}` : '';
+  if (details.note) {
+    text += `${text ? ': ' : ''}"${details.note}"`;
+  }
+  return text;
+}
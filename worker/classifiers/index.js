@@ -0,0 +1,32 @@
+/**
+ * Image classifiers behind the server-side bird check and safety screen
+ * Every classifier exposes:
+ * - classify(bytes, mime) -> [{ label, score }], best first, using ImageNet-style
+ *   labels ("goldfinch, Carduelis carduelis")
+ * - screen(bytes, mime) -> { unsafe, label, score } for nudity, sexual content and gore
+ * IMAGE_CLASSIFIER selects one (defaults to Workers AI).
+ */
+
+import { createWorkersAiClassifier } from './workersAi.js';
+import { createStubClassifier } from './stub.js';
+
+export { BIRD_CLASSES, isBirdLabel } from '../../shared/birdClasses.js';
+
+const CLASSIFIERS = {
+  'workers-ai': createWorkersAiClassifier,
+  stub: createStubClassifier,
+};
+
+/**
+ * Create the image classifier configured for this environment
+ */
+export function getImageClassifier(env) {
+  const name = (env.IMAGE_CLASSIFIER || 'workers-ai').toLowerCase();
+  const factory = CLASSIFIERS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown image classifier: ${name}`);
+  }
+
+  return factory(env);
+}
@@ -0,0 +1,23 @@
+/**
+ * Stub classifier - returns fixed results instead of looking at the image
+ * Used for local development and tests. BIRD_CLASSIFIER_STUB_LABEL sets the
+ * label classify() reports (a bird by default); SAFETY_CLASSIFIER_STUB_LABEL
+ * makes screen() flag every image with that label.
+ */
+
+export function createStubClassifier(env) {
+  const label = env.BIRD_CLASSIFIER_STUB_LABEL || 'goldfinch, carduelis carduelis';
+  const unsafeLabel = env.SAFETY_CLASSIFIER_STUB_LABEL || null;
+
+  return {
+    name: 'stub',
+
+    async classify() {
+      return [{ label, score: 1 }];
+    },
+
+    async screen() {
+      return { unsafe: !!unsafeLabel, label: unsafeLabel, score: unsafeLabel ? 1 : null };
+    },
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Workers AI classifier - ResNet-50 image classification through the AI binding,
+ * and a vision-language model asked a constrained question for the safety screen
+ */
+
+const CLASSIFY_MODEL = '@cf/microsoft/resnet-50';
+const SCREEN_MODEL = '@cf/llava-hf/llava-1.5-7b-hf';
+
+const UNSAFE_CATEGORIES = ['nudity', 'sexual', 'violence', 'gore'];
+const SCREEN_PROMPT =
+  'Does this image contain nudity, sexual content, graphic violence or gore? ' +
+  `Answer with exactly one word: ${UNSAFE_CATEGORIES.join(', ')}, or safe.`;
+
+export function createWorkersAiClassifier(env) {
+  if (!env.AI) {
+    throw new Error('AI binding not configured');
+  }
+
+  return {
+    name: 'workers-ai',
+
+    async classify(bytes) {
+      const predictions = await env.AI.run(CLASSIFY_MODEL, { image: [...bytes] });
+      return predictions
+        .map(({ label, score }) => ({ label: label.toLowerCase(), score }))
+        .sort((a, b) => b.score - a.score);
+    },
+
+    async screen(bytes) {
+      const { description } = await env.AI.run(SCREEN_MODEL, {
+        image: [...bytes],
+        prompt: SCREEN_PROMPT,
+        max_tokens: 8,
+      });
+
+      const answer = (description || '').trim().toLowerCase().replace(/[^a-z ]/g, '').split(' ')[0];
+      if (answer === 'safe' || answer === 'no') {
+        return { unsafe: false, label: null, score: null };
+      }
+      if (UNSAFE_CATEGORIES.includes(answer)) {
+        return { unsafe: true, label: answer, score: null };
+      }
+      throw new Error(`Unexpected screening answer: ${description}`);
+    },
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * HTTP validators and byte ranges for /image
+ * Small helpers for If-None-Match / If-Modified-Since (304) and single-range
+ * Range requests (206), evaluated against an R2 object's ETag and upload time.
+ */
+
+function stripWeak(etag) {
+  return etag.trim().replace(/^W\//, '');
+}
+
+/**
+ * Whether a request's validators match, i.e. the client's copy is current
+ * If-None-Match takes precedence over If-Modified-Since, as in RFC 9110.
+ */
+export function isNotModified(request, etag, lastModified) {
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') {
+      return true;
+    }
+    return !!etag && ifNoneMatch.split(',').some(tag => stripWeak(tag) === stripWeak(etag));
+  }
+
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+  const modified = Date.parse(lastModified || '');
+  return Number.isFinite(ifModifiedSince) && Number.isFinite(modified) && modified <= ifModifiedSince;
+}
+
+/**
+ * Parse a Range header against an object's size
+ * Returns { offset, length } for a satisfiable single range, { unsatisfiable: true }
+ * when it starts past the end, or null to ignore it and send the whole object
+ * (missing, malformed or multi-range headers).
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) {
+      return { unsatisfiable: true };
+    }
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    const last = match[2] === '' ? Infinity : parseInt(match[2], 10);
+    if (last < start) {
+      return null;
+    }
+    end = Math.min(last, size - 1);
+  }
+
+  if (start >= size) {
+    return { unsatisfiable: true };
+  }
+  return { offset: start, length: end - start + 1 };
+}
@@ -0,0 +1,21 @@
+/**
+ * Opaque keyset pagination cursors
+ * A cursor is the sort key of the last row on a page, as base64url JSON.
+ */
+
+export function encodeCursor(values) {
+  return btoa(JSON.stringify(values))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a cursor back into its values, or null if it isn't one
+ */
+export function decodeCursor(cursor) {
+  try {
+    const values = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    return Array.isArray(values) ? values : null;
+  } catch (e) {
+    return null;
+  }
+}
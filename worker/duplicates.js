@@ -0,0 +1,100 @@
+/**
+ * Duplicate detection for uploads
+ * Exact copies are found by SHA-256 of the stored bytes. Near-duplicates
+ * (re-encoded, resized or lightly edited copies of the same photo) are found
+ * by a 64-bit difference hash (dHash) compared by Hamming distance.
+ */
+
+// dHashes this close (out of 64 bits) are treated as the same photo
+export const NEAR_DUPLICATE_DISTANCE = 6;
+
+/**
+ * Hex SHA-256 of some bytes
+ */
+export async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * dHash of a decoded image ({ data, width, height } RGBA)
+ * Shrinks to 9x8 greyscale by box averaging, then sets one bit per pixel that
+ * is brighter than its right-hand neighbour. Returned as 16 hex digits.
+ */
+export function computeDHash(image) {
+  const { data, width, height } = image;
+  const grey = new Float64Array(9 * 8);
+
+  for (let row = 0; row < 8; row++) {
+    const y0 = Math.floor((row * height) / 8);
+    const y1 = Math.max(y0 + 1, Math.floor(((row + 1) * height) / 8));
+    for (let col = 0; col < 9; col++) {
+      const x0 = Math.floor((col * width) / 9);
+      const x1 = Math.max(x0 + 1, Math.floor(((col + 1) * width) / 9));
+
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * 4;
+          sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+      }
+      grey[row * 9 + col] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      hash = (hash << 1n) | (grey[row * 9 + col] > grey[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two hex dHashes
+ */
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Find an already-indexed copy of an image
+ * Returns { key, uploadedAt, match: 'exact' | 'near', distance } or null. The
+ * near-duplicate check scans every stored dHash, which is fine while the
+ * bucket is capped at a few hundred images. Hidden images (held for review or
+ * taken down) don't count, so they never block a fresh upload.
+ */
+export async function findDuplicate(env, { sha256, dhash }) {
+  const exact = await env.DB
+    .prepare('SELECT key, uploaded_at FROM images WHERE sha256 = ? AND hidden = 0 ORDER BY uploaded_at LIMIT 1')
+    .bind(sha256)
+    .first();
+  if (exact) {
+    return { key: exact.key, uploadedAt: exact.uploaded_at, match: 'exact', distance: 0 };
+  }
+
+  if (!dhash) {
+    return null;
+  }
+
+  const { results } = await env.DB
+    .prepare('SELECT key, uploaded_at, dhash FROM images WHERE dhash IS NOT NULL AND hidden = 0')
+    .all();
+
+  let best = null;
+  for (const row of results) {
+    const distance = hammingDistance(dhash, row.dhash);
+    if (distance <= NEAR_DUPLICATE_DISTANCE && (!best || distance < best.distance)) {
+      best = { key: row.key, uploadedAt: row.uploaded_at, match: 'near', distance };
+    }
+  }
+  return best;
+}
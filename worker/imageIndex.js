@@ -0,0 +1,338 @@
+/**
+ * Gallery index backed by D1
+ * Every image written to R2 gets a row here; /list pages through this table
+ * (newest first, keyset pagination) instead of listing the bucket.
+ */
+
+import { getThumbnailKeys, getThumbnailSourceKey } from './thumbnails.js';
+import { deleteObjects } from './usage.js';
+import { decodeCursor, encodeCursor } from './cursor.js';
+
+export const DEFAULT_PAGE_SIZE = 12;
+export const MAX_PAGE_SIZE = 100;
+
+function decodeImageCursor(cursor) {
+  const [uploadedAt, key] = decodeCursor(cursor) || [];
+  if (Number.isFinite(uploadedAt) && typeof key === 'string') {
+    return { uploadedAt, key };
+  }
+  return null;
+}
+
+/**
+ * Parse a date filter: ISO date/time or milliseconds since epoch
+ */
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : NaN;
+}
+
+/**
+ * Normalise a species label for storage and filtering
+ */
+export function normalizeSpecies(species) {
+  if (typeof species !== 'string') {
+    return null;
+  }
+  const normalized = species.toLowerCase().replace(/[^a-z0-9 ,'-]/g, '').trim().slice(0, 100);
+  return normalized || null;
+}
+
+/**
+ * Validate a client-generated sender session ID
+ */
+export function normalizeSessionId(sessionId) {
+  return typeof sessionId === 'string' && /^[A-Za-z0-9-]{8,64}$/.test(sessionId) ? sessionId : null;
+}
+
+/**
+ * Parse /list query parameters; returns { error } for invalid input
+ */
+export function parseListQuery(searchParams) {
+  const limitParam = searchParams.get('limit');
+  const limit = limitParam ? parseInt(limitParam, 10) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const cursorParam = searchParams.get('cursor');
+  const cursor = cursorParam ? decodeImageCursor(cursorParam) : null;
+  if (cursorParam && !cursor) {
+    return { error: 'Invalid cursor' };
+  }
+
+  const before = parseDate(searchParams.get('before'));
+  const after = parseDate(searchParams.get('after'));
+  if (Number.isNaN(before) || Number.isNaN(after)) {
+    return { error: 'before/after must be ISO dates or timestamps' };
+  }
+
+  return {
+    limit,
+    cursor,
+    before,
+    after,
+    species: normalizeSpecies(searchParams.get('species')),
+    session: normalizeSessionId(searchParams.get('session')),
+  };
+}
+
+/**
+ * Add an image to the index
+ */
+export async function indexImage(env, image) {
+  await env.DB
+    .prepare(
+      `INSERT OR REPLACE INTO images
+         (key, uploaded_at, size, content_type, species, session_id, captured_at, latitude, longitude, note,
+          sha256, dhash, hidden, flagged, flag_reason, bird_check, bird_label, bird_score, safety_check, safety_label)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(
+      image.key,
+      image.uploadedAt,
+      image.size,
+      image.contentType,
+      image.species || null,
+      image.sessionId || null,
+      image.capturedAt || null,
+      image.latitude ?? null,
+      image.longitude ?? null,
+      image.note || null,
+      image.sha256 || null,
+      image.dhash || null,
+      image.hidden ? 1 : 0,
+      image.flagged ? 1 : 0,
+      image.flagReason || null,
+      image.birdCheck?.verdict || null,
+      image.birdCheck?.label ?? null,
+      image.birdCheck?.score ?? null,
+      image.safetyCheck?.verdict || null,
+      image.safetyCheck?.label ?? null
+    )
+    .run();
+}
+
+/**
+ * Record an image's thumbnails once they exist: the widths generated, the
+ * original's width (null if unknown) and their total size and number
+ */
+export async function recordThumbnails(env, key, { widths, width = null, bytes, objects }) {
+  await env.DB
+    .prepare(
+      `UPDATE images SET thumbnail_widths = ?, width = ?, thumbnail_bytes = ?, thumbnail_count = ?
+       WHERE key = ?`
+    )
+    .bind(JSON.stringify(widths), width, bytes, objects, key)
+    .run();
+}
+
+/**
+ * Thumbnail widths generated for an index row, or null if not recorded yet
+ */
+export function getThumbnailWidths(row) {
+  return row?.thumbnail_widths ? JSON.parse(row.thumbnail_widths) : null;
+}
+
+// Thumbnails are made right after an upload, so a row with none recorded after
+// this long (e.g. indexed before widths were recorded) isn't getting any
+const THUMBNAIL_GRACE_PERIOD = 10 * 60 * 1000;
+
+/**
+ * Whether an image's thumbnails may still be on their way
+ */
+export function isAwaitingThumbnails(row, now = Date.now()) {
+  return !!row && row.thumbnail_widths === null && now - row.uploaded_at < THUMBNAIL_GRACE_PERIOD;
+}
+
+/**
+ * Delete images (and their thumbnails) from R2 and drop them from the index
+ * Bucket usage is adjusted from the sizes in the index; only images missing
+ * from it need their objects looked up.
+ */
+export async function deleteImages(env, keys) {
+  if (keys.length === 0) {
+    return;
+  }
+
+  const placeholders = keys.map(() => '?').join(', ');
+  const { results } = await env.DB
+    .prepare(`SELECT key, size, thumbnail_bytes, thumbnail_count FROM images WHERE key IN (${placeholders})`)
+    .bind(...keys)
+    .all();
+
+  const indexedKeys = results.map(row => row.key);
+  await deleteObjects(env, [...indexedKeys, ...indexedKeys.flatMap(getThumbnailKeys)], {
+    bytes: results.reduce((sum, row) => sum + row.size + row.thumbnail_bytes, 0),
+    objects: results.reduce((sum, row) => sum + 1 + row.thumbnail_count, 0),
+  });
+
+  const unindexedKeys = keys.filter(key => !indexedKeys.includes(key));
+  await deleteObjects(env, [...unindexedKeys, ...unindexedKeys.flatMap(getThumbnailKeys)]);
+
+  await env.DB
+    .prepare(`DELETE FROM images WHERE key IN (${placeholders})`)
+    .bind(...keys)
+    .run();
+}
+
+/**
+ * Fetch one page of images, newest first
+ * Hidden images are left out unless `hidden` is true (only hidden) or null (any);
+ * `flagged` likewise restricts to flagged (true) or unflagged (false) images.
+ * Returns { images: rows, cursor } where cursor is null on the last page.
+ */
+export async function listIndexedImages(
+  env,
+  { limit, cursor, before, after, species, session, hidden = false, flagged = null }
+) {
+  const conditions = [];
+  const params = [];
+
+  if (hidden !== null) {
+    conditions.push('hidden = ?');
+    params.push(hidden ? 1 : 0);
+  }
+  if (flagged !== null) {
+    conditions.push('flagged = ?');
+    params.push(flagged ? 1 : 0);
+  }
+
+  if (cursor) {
+    conditions.push('(uploaded_at < ? OR (uploaded_at = ? AND key < ?))');
+    params.push(cursor.uploadedAt, cursor.uploadedAt, cursor.key);
+  }
+  if (before !== null) {
+    conditions.push('uploaded_at < ?');
+    params.push(before);
+  }
+  if (after !== null) {
+    conditions.push('uploaded_at > ?');
+    params.push(after);
+  }
+  if (species) {
+    conditions.push('species = ?');
+    params.push(species);
+  }
+  if (session) {
+    conditions.push('session_id = ?');
+    params.push(session);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { results } = await env.DB
+    .prepare(`SELECT * FROM images ${where} ORDER BY uploaded_at DESC, key DESC LIMIT ?`)
+    .bind(...params, limit + 1)
+    .all();
+
+  const hasMore = results.length > limit;
+  const page = results.slice(0, limit);
+  return {
+    images: page,
+    cursor: hasMore ? encodeCursor([page[page.length - 1].uploaded_at, page[page.length - 1].key]) : null,
+  };
+}
+
+/**
+ * Fetch a single indexed image, or null if unknown
+ */
+export async function getIndexedImage(env, key) {
+  return await env.DB
+    .prepare('SELECT * FROM images WHERE key = ?')
+    .bind(key)
+    .first();
+}
+
+/**
+ * Update an image's moderation state: any of { hidden, pinned, flagged, flagReason }
+ * Clearing the flag also clears its reason. Returns the updated row, or null if unknown.
+ */
+export async function updateImageModeration(env, key, changes) {
+  const assignments = [];
+  const params = [];
+
+  for (const field of ['hidden', 'pinned', 'flagged']) {
+    if (typeof changes[field] === 'boolean') {
+      assignments.push(`${field} = ?`);
+      params.push(changes[field] ? 1 : 0);
+    }
+  }
+  if (changes.flagged === false) {
+    assignments.push('flag_reason = NULL');
+  } else if (typeof changes.flagReason === 'string') {
+    assignments.push('flag_reason = ?');
+    params.push(changes.flagReason.slice(0, 200));
+  }
+
+  if (assignments.length > 0) {
+    await env.DB
+      .prepare(`UPDATE images SET ${assignments.join(', ')} WHERE key = ?`)
+      .bind(...params, key)
+      .run();
+  }
+  return await getIndexedImage(env, key);
+}
+
+/**
+ * Populate the index from the bucket (for images uploaded before the index existed)
+ * Existing rows are left alone; each page of the listing is written in one batch.
+ */
+export async function rebuildImageIndex(env) {
+  let cursor;
+  let indexed = 0;
+
+  do {
+    const result = await env.R2_BUCKET.list({ cursor, include: ['customMetadata', 'httpMetadata'] });
+    const statements = [];
+    for (const obj of result.objects) {
+      if (getThumbnailSourceKey(obj.key)) {
+        continue;
+      }
+      const uploaded = obj.uploaded instanceof Date ? obj.uploaded : new Date(obj.uploaded);
+      const metadata = obj.customMetadata || {};
+      statements.push(env.DB
+        .prepare(
+          `INSERT OR IGNORE INTO images
+             (key, uploaded_at, size, content_type, species, captured_at, latitude, longitude, note)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .bind(
+          obj.key,
+          uploaded.getTime(),
+          obj.size || 0,
+          obj.httpMetadata?.contentType || 'image/jpeg',
+          normalizeSpecies(metadata.species),
+          metadata.capturedAt || null,
+          metadata.latitude ? parseFloat(metadata.latitude) : null,
+          metadata.longitude ? parseFloat(metadata.longitude) : null,
+          metadata.note || null
+        ));
+    }
+    if (statements.length > 0) {
+      const results = await env.DB.batch(statements);
+      indexed += results.reduce((sum, r) => sum + (r.meta?.changes || 0), 0);
+    }
+    cursor = result.truncated ? result.cursor : undefined;
+  } while (cursor);
+
+  return indexed;
+}
+
+/**
+ * Backfill the index if it is empty while the bucket is not (the first
+ * scheduled run after upgrading). Returns the number of rows added.
+ */
+export async function backfillImageIndex(env) {
+  const indexed = await env.DB.prepare('SELECT COUNT(*) AS count FROM images').first('count');
+  if (indexed) {
+    return 0;
+  }
+  const probe = await env.R2_BUCKET.list({ limit: 1 });
+  if (probe.objects.length === 0) {
+    return 0;
+  }
+  return await rebuildImageIndex(env);
+}
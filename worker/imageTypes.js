@@ -0,0 +1,47 @@
+/**
+ * Image type detection from file signatures (magic bytes)
+ * The client's contentType and file extension are never trusted; the stored
+ * type always comes from the bytes. SVG is deliberately not supported since
+ * it can carry script.
+ */
+
+// Bytes needed to recognise every supported signature
+export const SIGNATURE_LENGTH = 12;
+
+const SIGNATURES = [
+  { mime: 'image/jpeg', ext: '.jpg', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: 'image/png', ext: '.png', test: b => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mime: 'image/gif', ext: '.gif', test: b => startsWith(b, ascii('GIF87a')) || startsWith(b, ascii('GIF89a')) },
+  { mime: 'image/webp', ext: '.webp', test: b => startsWith(b, ascii('RIFF')) && startsWith(b.subarray(8), ascii('WEBP')) },
+  { mime: 'image/bmp', ext: '.bmp', test: b => startsWith(b, ascii('BM')) },
+  { mime: 'image/tiff', ext: '.tiff', test: b => startsWith(b, [0x49, 0x49, 0x2a, 0x00]) || startsWith(b, [0x4d, 0x4d, 0x00, 0x2a]) },
+  { mime: 'image/x-icon', ext: '.ico', test: b => startsWith(b, [0x00, 0x00, 0x01, 0x00]) },
+];
+
+// Types that are safe to serve inline from our origin
+export const SERVABLE_IMAGE_TYPES = SIGNATURES.map(signature => signature.mime);
+
+function ascii(text) {
+  return Array.from(text, char => char.charCodeAt(0));
+}
+
+function startsWith(bytes, prefix) {
+  return bytes.length >= prefix.length && prefix.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Detect the image type of a file from its first bytes
+ * Returns { mime, ext } or null if it isn't a supported image.
+ */
+export function detectImageType(bytes) {
+  const signature = SIGNATURES.find(({ test }) => test(bytes));
+  return signature ? { mime: signature.mime, ext: signature.ext } : null;
+}
+
+/**
+ * Whether the client claims the file is an SVG (so we can give a clearer error)
+ */
+export function isClaimedSvg(contentType, fileName) {
+  return (contentType || '').toLowerCase().startsWith('image/svg') ||
+    (fileName || '').toLowerCase().endsWith('.svg');
+}
@@ -1,35 +1,71 @@
 /**
  * Cloudflare Worker for Send Ryan a Bird App
- * Handles R2 operations (list, upload) and SMS sending via Twilio
+ * Handles R2 operations (list, upload) and message sending (Twilio by default)
  */
 
+import { checkRateLimit, getRateLimitHeaders, getRateLimitRoute } from './rateLimiter.js';
+import { getRecipient, getRecipientByPhoneNumber, listRecipients } from './recipients.js';
+import { getMessagingProvider, ProviderError } from './providers/index.js';
+import {
+  cancelHeldSends,
+  enqueueSend,
+  getSendJob,
+  handleSendQueue,
+  listSendJobs,
+  releaseHeldSends,
+} from './sendQueue.js';
+import {
+  getDeliveryStatuses,
+  getLatestImageKeyForRecipient,
+  normalizeStatus,
+  recordMessage,
+  updateMessageStatus,
+} from './ledger.js';
+import { getReplies, getReplyMediaUrls, recordReply } from './replies.js';
+import { readTwilioWebhook } from './twilioWebhooks.js';
+import { MAX_FILE_SIZE, readUpload, readUploadBytes, UploadError } from './uploads.js';
+import { MalformedImageError, STRIPPABLE_IMAGE_TYPES, stripImageMetadata } from './metadata.js';
+import { formatCaptureDetails, parseCaptureDetails, toCustomMetadata } from './captureDetails.js';
+import {
+  backfillImageIndex,
+  deleteImages,
+  getIndexedImage,
+  getThumbnailWidths,
+  indexImage,
+  isAwaitingThumbnails,
+  listIndexedImages,
+  normalizeSessionId,
+  normalizeSpecies,
+  parseListQuery,
+  rebuildImageIndex,
+  recordThumbnails,
+  updateImageModeration,
+} from './imageIndex.js';
+import { authenticateAdmin, isAdminConfigured } from './adminAuth.js';
+import { listReportReasons, markReportsReviewed, recordReport, REPORT_REASONS } from './reports.js';
+import { approveScreening, screenImage, screenIndexedImage } from './screening.js';
+import { isNotModified, parseRange } from './conditionalRequests.js';
+import {
+  galleryImageUrl,
+  MESSAGE_URL_TTL,
+  requiresSignedImages,
+  signImageUrl,
+  verifyImageSignature,
+} from './signedUrls.js';
+import { computeDHash, findDuplicate, sha256Hex } from './duplicates.js';
+import { runRetention } from './retention.js';
+import { deleteObjects, getUsage, putObject, reconcileUsage } from './usage.js';
+import { decodeImage, generateThumbnails, selectThumbnail, THUMBNAIL_WIDTHS } from './thumbnails.js';
+import { detectImageType, isClaimedSvg, SERVABLE_IMAGE_TYPES } from './imageTypes.js';
+
+export { RateLimiter } from './rateLimiter.js';
+
 // Security constants
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB max file size
-const MAX_REQUEST_SIZE = 15 * 1024 * 1024; // 15MB max request size (base64 is ~33% larger)
-const ALLOWED_IMAGE_TYPES = [
-  'image/jpeg',
-  'image/jpg',
-  'image/png',
-  'image/gif',
-  'image/webp',
-  'image/bmp',
-  'image/svg+xml',
-  'image/tiff',
-  'image/x-icon',
-  'image/vnd.microsoft.icon',
-];
-const ALLOWED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.svg', '.tiff', '.ico'];
-const RATE_LIMIT_REQUESTS = 20; // Max requests per window
-const RATE_LIMIT_WINDOW = 60000; // 1 minute window (in milliseconds)
-const ALLOWED_SMS_RECIPIENT = '+17573030776'; // Only allow sending to this number
 
 // Bucket size limits (Cloudflare R2 free tier: 10GB storage)
 const MAX_BUCKET_SIZE = 9 * 1024 * 1024 * 1024; // 9GB limit (leaving 1GB buffer)
-const MAX_FILES_IN_BUCKET = 500; // Maximum number of files to keep
-const CLEANUP_THRESHOLD = 0.85; // Start cleanup when 85% of limit is reached
 
-// Simple rate limiting store (in-memory, resets on Worker restart)
-const rateLimitStore = new Map();
+const DEFAULT_BIRD_MESSAGE = 'Check out this little beauty!';
 
 /**
  * Get CORS headers based on origin
@@ -47,41 +83,12 @@ function getCorsHeaders(origin) {
   
   return {
     'Access-Control-Allow-Origin': allowOrigin,
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset',
   };
 }
 
-/**
- * Check rate limit for an IP address
- */
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const key = ip;
-  
-  if (!rateLimitStore.has(key)) {
-    rateLimitStore.set(key, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
-    return true;
-  }
-  
-  const limit = rateLimitStore.get(key);
-  
-  // Reset if window expired
-  if (now > limit.resetTime) {
-    rateLimitStore.set(key, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
-    return true;
-  }
-  
-  // Check if limit exceeded
-  if (limit.count >= RATE_LIMIT_REQUESTS) {
-    return false;
-  }
-  
-  // Increment count
-  limit.count++;
-  return true;
-}
-
 /**
  * Sanitize filename to prevent path traversal and ensure safe naming
  */
@@ -106,112 +113,8 @@ function sanitizeFilename(fileName) {
   return sanitized;
 }
 
-/**
- * Validate file type
- */
-function isValidImageType(contentType, fileName) {
-  // Check MIME type
-  if (contentType && ALLOWED_IMAGE_TYPES.includes(contentType.toLowerCase())) {
-    return true;
-  }
-  
-  // Check file extension as fallback
-  const ext = fileName.toLowerCase().substring(fileName.lastIndexOf('.'));
-  return ALLOWED_EXTENSIONS.includes(ext);
-}
-
-/**
- * Get bucket size and file count
- */
-async function getBucketStats(bucket) {
-  try {
-    const result = await bucket.list();
-    let totalSize = 0;
-    let fileCount = 0;
-    
-    for (const obj of result.objects) {
-      totalSize += obj.size || 0;
-      fileCount++;
-    }
-    
-    // Handle pagination if there are more than 1000 objects
-    let cursor = result.cursor;
-    while (cursor && fileCount < MAX_FILES_IN_BUCKET * 2) {
-      const nextResult = await bucket.list({ cursor });
-      for (const obj of nextResult.objects) {
-        totalSize += obj.size || 0;
-        fileCount++;
-      }
-      cursor = nextResult.cursor;
-    }
-    
-    return { totalSize, fileCount };
-  } catch (error) {
-    console.error('Error getting bucket stats:', error);
-    return { totalSize: 0, fileCount: 0 };
-  }
-}
-
-/**
- * Clean up old files to stay within limits
- */
-async function cleanupOldFiles(bucket, targetSize, targetFileCount) {
-  try {
-    const result = await bucket.list();
-    const allObjects = result.objects.map(obj => ({
-      key: obj.key,
-      size: obj.size || 0,
-      uploaded: obj.uploaded instanceof Date ? obj.uploaded : new Date(obj.uploaded),
-    }));
-    
-    // Handle pagination
-    let cursor = result.cursor;
-    while (cursor) {
-      const nextResult = await bucket.list({ cursor });
-      allObjects.push(...nextResult.objects.map(obj => ({
-        key: obj.key,
-        size: obj.size || 0,
-        uploaded: obj.uploaded instanceof Date ? obj.uploaded : new Date(obj.uploaded),
-      })));
-      cursor = nextResult.cursor;
-    }
-    
-    // Sort by date (oldest first)
-    allObjects.sort((a, b) => a.uploaded - b.uploaded);
-    
-    let currentSize = allObjects.reduce((sum, obj) => sum + obj.size, 0);
-    let currentCount = allObjects.length;
-    const filesToDelete = [];
-    
-    // Delete oldest files until we're under limits
-    for (const obj of allObjects) {
-      if (currentSize <= targetSize && currentCount <= targetFileCount) {
-        break;
-      }
-      filesToDelete.push(obj.key);
-      currentSize -= obj.size;
-      currentCount--;
-    }
-    
-    // Delete files in batches
-    for (const key of filesToDelete) {
-      try {
-        await bucket.delete(key);
-        console.log(`Deleted old file: ${key}`);
-      } catch (error) {
-        console.error(`Error deleting file ${key}:`, error);
-      }
-    }
-    
-    return { deleted: filesToDelete.length, remainingSize: currentSize, remainingCount: currentCount };
-  } catch (error) {
-    console.error('Error cleaning up old files:', error);
-    return { deleted: 0, remainingSize: 0, remainingCount: 0 };
-  }
-}
-
 const worker = {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
     const path = url.pathname;
     const origin = request.headers.get('Origin');
@@ -220,16 +123,33 @@ const worker = {
                      'unknown';
 
     // CORS headers
-    const corsHeaders = getCorsHeaders(origin);
+    let corsHeaders = getCorsHeaders(origin);
 
     // Handle preflight requests
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: corsHeaders });
     }
 
-    // Rate limiting (skip for image serving to allow public access)
-    if (!path.startsWith('/image/')) {
-      if (!checkRateLimit(clientIP)) {
+    // Rate limiting (skip for image serving to allow public access, and for
+    // Twilio webhooks which are authenticated by signature)
+    if (!path.startsWith('/image/') && !path.startsWith('/twilio/')) {
+      let rateLimit;
+      try {
+        rateLimit = await checkRateLimit(env, getRateLimitRoute(path), clientIP);
+      } catch (error) {
+        // Fail closed: a missing binding must not quietly disable rate limiting
+        console.error('Error checking rate limit:', error);
+        return new Response(
+          JSON.stringify({ error: 'Service unavailable' }),
+          {
+            status: 503,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          }
+        );
+      }
+      corsHeaders = { ...corsHeaders, ...getRateLimitHeaders(rateLimit) };
+
+      if (!rateLimit.allowed) {
         return new Response(
           JSON.stringify({ error: 'Rate limit exceeded. Please try again later.' }),
           {
@@ -243,12 +163,32 @@ const worker = {
     try {
       // Route: List images from R2
       if (path === '/list' && request.method === 'GET') {
-        return await handleListImages(env, corsHeaders);
+        return await handleListImages(request, env, corsHeaders);
+      }
+
+      // Route: Single image details (gallery deep links)
+      if (path.startsWith('/bird/') && request.method === 'GET') {
+        return await handleGetBird(request, path, env, corsHeaders);
+      }
+
+      // Route: Report a gallery image
+      if (path === '/report' && request.method === 'POST') {
+        return await handleReportImage(request, env, clientIP, corsHeaders);
+      }
+
+      // Route: Reasons a gallery image can be reported for
+      if (path === '/report-reasons' && request.method === 'GET') {
+        return handleListReportReasons(corsHeaders);
+      }
+
+      // Route: List recipients that can be messaged
+      if (path === '/recipients' && request.method === 'GET') {
+        return await handleListRecipients(env, corsHeaders);
       }
 
       // Route: Upload image to R2
-      if (path === '/upload' && request.method === 'POST') {
-        return await handleUploadImage(request, env, corsHeaders);
+      if (path === '/upload' && (request.method === 'POST' || request.method === 'PUT')) {
+        return await handleUploadImage(request, env, ctx, corsHeaders);
       }
 
       // Route: Send SMS via Twilio
@@ -256,9 +196,29 @@ const worker = {
         return await handleSendSMS(request, env, corsHeaders);
       }
 
+      // Route: Twilio delivery status callbacks
+      if (path === '/twilio/status' && request.method === 'POST') {
+        return await handleTwilioStatus(request, env, corsHeaders);
+      }
+
+      // Route: Twilio inbound messages (replies from recipients)
+      if (path === '/twilio/inbound' && request.method === 'POST') {
+        return await handleTwilioInbound(request, env, corsHeaders);
+      }
+
+      // Route: Delivery status of a queued send
+      if (path.startsWith('/send/') && request.method === 'GET') {
+        return await handleGetSendStatus(path, env, corsHeaders);
+      }
+
+      // Route: Admin console API (bearer token or Cloudflare Access)
+      if (path.startsWith('/admin/')) {
+        return await handleAdminRequest(request, path, env, corsHeaders);
+      }
+
       // Route: Serve images from R2
-      if (path.startsWith('/image/') && request.method === 'GET') {
-        return await handleServeImage(path, env, corsHeaders);
+      if (path.startsWith('/image/') && (request.method === 'GET' || request.method === 'HEAD')) {
+        return await handleServeImage(request, path, env, ctx, corsHeaders);
       }
 
       return new Response('Not Found', { status: 404, headers: corsHeaders });
@@ -273,38 +233,76 @@ const worker = {
       );
     }
   },
+
+  async queue(batch, env) {
+    await handleSendQueue(batch, env);
+  },
+
+  // Cron Trigger: backfill an empty image index, apply the retention policy
+  // (see retention.js), then correct the usage counters against a full listing
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil((async () => {
+      await backfillImageIndex(env);
+      await runRetention(env);
+      await reconcileUsage(env);
+    })());
+  },
 };
 
 export default worker;
 
 /**
- * List the last 12 images from R2 bucket
+ * Turn index rows into the image objects returned by the gallery API
+ */
+async function describeImages(request, env, rows) {
+  const origin = new URL(request.url).origin;
+  const keys = rows.map(row => row.key);
+  const [deliveryStatuses, replies] = await Promise.all([
+    getDeliveryStatuses(env, keys),
+    getReplies(env, keys),
+  ]);
+
+  return await Promise.all(rows.map(async row => ({
+    Key: row.key,
+    Url: await galleryImageUrl(env, origin, row.key),
+    LastModified: new Date(row.uploaded_at).toISOString(),
+    Species: row.species,
+    DeliveryStatus: deliveryStatuses[row.key] || null,
+    Replies: replies[row.key] || [],
+    CapturedAt: row.captured_at,
+    Location: row.latitude !== null ? { Latitude: row.latitude, Longitude: row.longitude } : null,
+    Note: row.note,
+    Width: row.width,
+    Widths: getThumbnailWidths(row),
+  })));
+}
+
+/**
+ * List images newest first, one page at a time
+ * Query: limit, cursor, before/after (ISO date or ms), species, session
  */
-async function handleListImages(env, corsHeaders) {
+async function handleListImages(request, env, corsHeaders) {
   try {
-    const bucket = env.R2_BUCKET;
-    if (!bucket) {
-      throw new Error('R2_BUCKET not configured');
+    if (!env.DB) {
+      throw new Error('DB not configured');
     }
 
-    // List objects from R2
-    const result = await bucket.list();
-    
-    // Sort by uploaded date (newest first) and take last 12
-    const sortedObjects = result.objects
-      .sort((a, b) => {
-        const dateA = a.uploaded instanceof Date ? a.uploaded : new Date(a.uploaded);
-        const dateB = b.uploaded instanceof Date ? b.uploaded : new Date(b.uploaded);
-        return dateB - dateA;
-      })
-      .slice(0, 12)
-      .map(obj => ({
-        Key: obj.key,
-        LastModified: obj.uploaded instanceof Date ? obj.uploaded.toISOString() : obj.uploaded,
-      }));
-
-    return new Response(
-      JSON.stringify({ images: sortedObjects }),
+    const query = parseListQuery(new URL(request.url).searchParams);
+    if (query.error) {
+      return new Response(
+        JSON.stringify({ error: query.error }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    const page = await listIndexedImages(env, query);
+    const images = await describeImages(request, env, page.images);
+
+    return new Response(
+      JSON.stringify({ images, cursor: page.cursor }),
       {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
       }
@@ -322,136 +320,179 @@ async function handleListImages(env, corsHeaders) {
 }
 
 /**
- * Upload image to R2 bucket
+ * Storage usage from the maintained counters, plus image counts from the index
+ * (GET /admin/stats)
  */
-async function handleUploadImage(request, env, corsHeaders) {
+async function handleGetStats(env, corsHeaders) {
   try {
-    const bucket = env.R2_BUCKET;
-    if (!bucket) {
-      throw new Error('R2_BUCKET not configured');
+    if (!env.DB) {
+      throw new Error('DB not configured');
     }
 
-    // Check request size
-    const contentLength = request.headers.get('Content-Length');
-    if (contentLength && parseInt(contentLength) > MAX_REQUEST_SIZE) {
-      return new Response(
-        JSON.stringify({ error: `File too large. Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB` }),
-        {
-          status: 413,
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        }
-      );
+    const usage = await getUsage(env);
+    const counts = await env.DB
+      .prepare('SELECT COUNT(*) AS images, COALESCE(SUM(pinned), 0) AS pinned FROM images')
+      .first();
+
+    return new Response(
+      JSON.stringify({
+        bytes: usage.bytes,
+        objects: usage.objects,
+        maxBytes: MAX_BUCKET_SIZE,
+        images: counts.images,
+        pinnedImages: counts.pinned,
+        reconciledAt: usage.reconciledAt,
+        updatedAt: usage.updatedAt,
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  } catch (error) {
+    console.error('Error getting stats:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to get stats' }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
+
+/**
+ * Get a single image's gallery details (e.g. /bird/<key>) for deep links
+ */
+async function handleGetBird(request, path, env, corsHeaders) {
+  try {
+    if (!env.DB) {
+      throw new Error('DB not configured');
     }
 
-    const body = await request.json();
-    const { fileName, fileData, contentType } = body;
+    const key = decodeURIComponent(path.replace('/bird/', ''));
+    const row = key ? await getIndexedImage(env, key) : null;
 
-    if (!fileName || !fileData) {
+    if (!row || row.hidden) {
       return new Response(
-        JSON.stringify({ error: 'Missing fileName or fileData' }),
+        JSON.stringify({ error: 'Bird not found' }),
         {
-          status: 400,
+          status: 404,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' },
         }
       );
     }
 
-    // Validate file type
-    if (!isValidImageType(contentType, fileName)) {
-      return new Response(
-        JSON.stringify({ 
-          error: 'Invalid file type. Supported formats: JPEG, PNG, GIF, WebP, BMP, SVG, TIFF, ICO' 
-        }),
-        {
-          status: 400,
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        }
-      );
+    const [image] = await describeImages(request, env, [row]);
+    return new Response(
+      JSON.stringify({ image }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  } catch (error) {
+    console.error('Error getting bird:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to get bird' }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
+
+/**
+ * Report an image: JSON { key, reason } with a reason code from REPORT_REASONS
+ */
+async function handleReportImage(request, env, clientIP, corsHeaders) {
+  try {
+    if (!env.DB) {
+      throw new Error('DB not configured');
     }
 
-    // Sanitize filename
-    const sanitizedFileName = sanitizeFilename(fileName);
-    
-    // Convert base64 to ArrayBuffer and check size
-    let binaryString;
+    let body;
     try {
-      binaryString = atob(fileData);
+      body = await request.json();
     } catch (e) {
-      return new Response(
-        JSON.stringify({ error: 'Invalid base64 data' }),
-        {
-          status: 400,
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        }
-      );
+      body = null;
     }
 
-    // Check decoded file size
-    const fileSize = binaryString.length;
-    if (fileSize > MAX_FILE_SIZE) {
+    const key = typeof body?.key === 'string' ? body.key : '';
+    const reason = body?.reason;
+    if (!key || !Object.hasOwn(REPORT_REASONS, reason)) {
       return new Response(
-        JSON.stringify({ error: `File too large. Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB` }),
+        JSON.stringify({ error: `Expected a key and a reason (${Object.keys(REPORT_REASONS).join(', ')})` }),
         {
-          status: 413,
+          status: 400,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' },
         }
       );
     }
 
-    // Check bucket size before upload
-    const stats = await getBucketStats(bucket);
-    const projectedSize = stats.totalSize + fileSize;
-    const projectedCount = stats.fileCount + 1;
-
-    // Check if we're at capacity
-    if (projectedSize > MAX_BUCKET_SIZE) {
+    const row = await getIndexedImage(env, key);
+    if (!row || row.hidden) {
       return new Response(
-        JSON.stringify({ 
-          error: 'Bucket storage limit reached. Please contact administrator or wait for cleanup.',
-          currentSize: `${(stats.totalSize / 1024 / 1024 / 1024).toFixed(2)}GB`,
-          maxSize: `${(MAX_BUCKET_SIZE / 1024 / 1024 / 1024).toFixed(2)}GB`
-        }),
+        JSON.stringify({ error: 'Bird not found' }),
         {
-          status: 507,
+          status: 404,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' },
         }
       );
     }
 
-    // Cleanup old files if approaching limits
-    if (projectedSize > MAX_BUCKET_SIZE * CLEANUP_THRESHOLD || projectedCount > MAX_FILES_IN_BUCKET) {
-      const targetSize = MAX_BUCKET_SIZE * CLEANUP_THRESHOLD * 0.8; // Clean to 80% of threshold
-      const targetCount = Math.floor(MAX_FILES_IN_BUCKET * 0.8);
-      await cleanupOldFiles(bucket, targetSize, targetCount);
-    }
-
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
-    }
+    const { hidden } = await recordReport(env, { key, reason, ip: clientIP });
 
-    // Generate unique filename with timestamp
-    const timestamp = Date.now();
-    const ext = sanitizedFileName.substring(sanitizedFileName.lastIndexOf('.'));
-    const finalFileName = `bird-${timestamp}${ext}`;
+    return new Response(
+      JSON.stringify({ reported: true, hidden }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  } catch (error) {
+    console.error('Error reporting image:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to report image' }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
 
-    // Upload to R2
-    await bucket.put(finalFileName, bytes, {
-      httpMetadata: {
-        contentType: contentType || 'image/jpeg',
+/**
+ * Report reason codes and their labels, so the app doesn't keep its own copy
+ */
+function handleListReportReasons(corsHeaders) {
+  return new Response(
+    JSON.stringify({ reasons: listReportReasons() }),
+    {
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'application/json',
+        'Cache-Control': 'public, max-age=3600',
       },
-    });
+    }
+  );
+}
+
+/**
+ * List recipients (IDs and names only, never phone numbers)
+ */
+async function handleListRecipients(env, corsHeaders) {
+  try {
+    const recipients = await listRecipients(env);
 
     return new Response(
-      JSON.stringify({ success: true, fileName: finalFileName }),
+      JSON.stringify({ recipients }),
       {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
       }
     );
   } catch (error) {
-    console.error('Error uploading image:', error);
+    console.error('Error listing recipients:', error);
     return new Response(
-      JSON.stringify({ error: 'Failed to upload image' }),
+      JSON.stringify({ error: 'Failed to list recipients' }),
       {
         status: 500,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -461,104 +502,380 @@ async function handleUploadImage(request, env, corsHeaders) {
 }
 
 /**
- * Send SMS via Twilio
+ * Upload image to R2 bucket
  */
-async function handleSendSMS(request, env, corsHeaders) {
+async function handleUploadImage(request, env, ctx, corsHeaders) {
   try {
-    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER } = env;
-    
-    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER) {
-      throw new Error('Twilio credentials not configured');
+    if (!env.R2_BUCKET) {
+      throw new Error('R2_BUCKET not configured');
     }
 
-    const body = await request.json();
-    const { message, recipientPhoneNumber, mediaUrl } = body;
+    let upload;
+    try {
+      upload = await readUpload(request);
+    } catch (error) {
+      if (error instanceof UploadError) {
+        return new Response(
+          JSON.stringify({ error: error.message }),
+          {
+            status: error.status,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          }
+        );
+      }
+      throw error;
+    }
+    const { fileName, contentType, recipientId, message } = upload;
+    const captureDetails = parseCaptureDetails(upload.capture);
 
-    if (!recipientPhoneNumber || !mediaUrl) {
+    // Resolve the recipient before storing anything so a bad ID can't orphan an image
+    if (recipientId && !(await getRecipient(env, recipientId))) {
       return new Response(
-        JSON.stringify({ error: 'Missing recipientPhoneNumber or mediaUrl' }),
+        JSON.stringify({ error: 'Unknown recipient' }),
         {
-          status: 400,
+          status: 403,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' },
         }
       );
     }
 
-    // Validate recipient - only allow the configured recipient
-    if (recipientPhoneNumber !== ALLOWED_SMS_RECIPIENT) {
+    // Detect the file type from its signature - the client's contentType is not trusted
+    // Types still served for older uploads (TIFF, ICO) are refused here since
+    // their metadata can't be stripped
+    const imageType = detectImageType(upload.head);
+    if (!imageType || !STRIPPABLE_IMAGE_TYPES.includes(imageType.mime)) {
       return new Response(
-        JSON.stringify({ error: 'Invalid recipient phone number' }),
+        JSON.stringify({ 
+          error: isClaimedSvg(contentType, fileName)
+            ? 'SVG images are not supported'
+            : 'Invalid file type. Supported formats: JPEG, PNG, GIF, WebP, BMP'
+        }),
         {
-          status: 403,
+          status: 415,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' },
         }
       );
     }
 
-    // Validate mediaUrl is from our Worker
+    const fileSize = upload.size;
+
+    // Check bucket size before upload (maintained counters, no listing)
+    const usage = await getUsage(env);
+    const projectedSize = usage.bytes + fileSize;
+
+    // Check if we're at capacity
+    if (projectedSize > MAX_BUCKET_SIZE) {
+      return new Response(
+        JSON.stringify({ 
+          error: 'Bucket storage limit reached. Please contact administrator or wait for the retention job.',
+          currentSize: `${(usage.bytes / 1024 / 1024 / 1024).toFixed(2)}GB`,
+          maxSize: `${(MAX_BUCKET_SIZE / 1024 / 1024 / 1024).toFixed(2)}GB`
+        }),
+        {
+          status: 507,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    // Random, unguessable key; the upload time is kept in the index
+    const timestamp = Date.now();
+    const finalFileName = `bird-${crypto.randomUUID()}${imageType.ext}`;
+
+    // Read the (size-checked) body and strip EXIF/XMP/IPTC before anything is stored
+    let bytes;
     try {
-      const mediaUrlObj = new URL(mediaUrl);
-      if (!mediaUrlObj.pathname.startsWith('/image/')) {
+      bytes = stripImageMetadata(await readUploadBytes(upload), imageType.mime);
+    } catch (error) {
+      if (error instanceof UploadError || error instanceof MalformedImageError) {
         return new Response(
-          JSON.stringify({ error: 'Invalid media URL' }),
+          JSON.stringify({ error: error instanceof UploadError ? error.message : 'Invalid image data' }),
           {
-            status: 400,
+            status: error instanceof UploadError ? error.status : 400,
             headers: { ...corsHeaders, 'Content-Type': 'application/json' },
           }
         );
       }
-    } catch (e) {
+      throw error;
+    }
+
+    // Decoded pixels feed both the perceptual hash and the thumbnails; images
+    // that can't be decoded are still stored, just without either
+    let pixels = null;
+    try {
+      pixels = await decodeImage(bytes, imageType.mime);
+    } catch (error) {
+      console.error('Error decoding image:', error);
+    }
+
+    // Refuse to send the same bird twice
+    const hashes = {
+      sha256: await sha256Hex(bytes),
+      dhash: pixels ? computeDHash(pixels) : null,
+    };
+    const duplicate = await findDuplicate(env, hashes);
+    if (duplicate) {
       return new Response(
-        JSON.stringify({ error: 'Invalid media URL format' }),
+        JSON.stringify({
+          error: 'This bird has already been sent',
+          duplicate: {
+            key: duplicate.key,
+            url: await galleryImageUrl(env, new URL(request.url).origin, duplicate.key),
+            match: duplicate.match,
+            uploadedAt: new Date(duplicate.uploadedAt).toISOString(),
+          },
+        }),
         {
-          status: 400,
+          status: 409,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' },
         }
       );
     }
 
-    // Create Basic Auth header for Twilio
-    const auth = btoa(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`);
+    // Check it's a bird, and safe to send, here too; the browser's checks are easy to skip
+    const screening = await screenImage(env, { pixels, clientFlag: upload.contentFlag });
+    if (screening.decision === 'block') {
+      return new Response(
+        JSON.stringify({ error: "That doesn't look like a bird", label: screening.birdCheck.label }),
+        {
+          status: 422,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+    // Held images stay out of the gallery, and unsent, until an admin approves them
+    const held = screening.decision === 'hold';
 
-    // Prepare Twilio API request
-    const twilioUrl = `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`;
-    
-    const formData = new URLSearchParams();
-    formData.append('From', TWILIO_PHONE_NUMBER);
-    formData.append('To', recipientPhoneNumber);
-    formData.append('Body', message || 'Check out this little beauty!');
-    formData.append('MediaUrl', mediaUrl);
-
-    const twilioResponse = await fetch(twilioUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Content-Type': 'application/x-www-form-urlencoded',
+    // The species the sender picked travels with the object, the index and the message
+    const species = normalizeSpecies(upload.species);
+
+    // Upload to R2
+    await putObject(env, finalFileName, bytes, {
+      httpMetadata: {
+        contentType: imageType.mime,
       },
-      body: formData.toString(),
+      customMetadata: { ...toCustomMetadata(captureDetails), ...(species && { species }) },
     });
 
-    if (!twilioResponse.ok) {
-      const errorText = await twilioResponse.text();
-      console.error('Twilio error:', errorText);
+    // Index it for /list
+    try {
+      await indexImage(env, {
+        key: finalFileName,
+        uploadedAt: timestamp,
+        size: bytes.length,
+        contentType: imageType.mime,
+        species,
+        sessionId: normalizeSessionId(upload.sessionId),
+        capturedAt: captureDetails.capturedAt,
+        latitude: captureDetails.latitude,
+        longitude: captureDetails.longitude,
+        note: captureDetails.note,
+        sha256: hashes.sha256,
+        dhash: hashes.dhash,
+        hidden: held,
+        flagged: held,
+        flagReason: screening.flagReason,
+        birdCheck: screening.birdCheck,
+        safetyCheck: screening.safetyCheck,
+      });
+    } catch (error) {
+      await deleteObjects(env, [finalFileName]);
+      throw error;
+    }
+
+    // Gallery-sized variants are made after responding; /image serves the
+    // original until they exist. Images that can't be decoded never get any.
+    if (pixels) {
+      ctx.waitUntil(
+        generateThumbnails(env, finalFileName, pixels)
+          .then(thumbnails => recordThumbnails(env, finalFileName, thumbnails))
+          .catch(error => console.error('Error generating thumbnails:', error))
+      );
+    } else {
+      await recordThumbnails(env, finalFileName, { widths: [], bytes: 0, objects: 0 });
+    }
+
+    // Queue the message when a recipient was given; delivery happens in the queue consumer
+    let sendId;
+    if (recipientId) {
+      let body = message || DEFAULT_BIRD_MESSAGE;
+      if (species) {
+        body = `${body} Species: ${species}.`;
+      }
+      if (captureDetails.includeInMessage) {
+        const details = formatCaptureDetails(captureDetails);
+        body = details ? `${body} ${details}` : body;
+      }
+
+      try {
+        sendId = await enqueueSend(env, {
+          imageKey: finalFileName,
+          recipientId,
+          message: body,
+          mediaUrl: `${new URL(request.url).origin}/image/${finalFileName}`,
+          held,
+        });
+      } catch (error) {
+        await deleteImages(env, [finalFileName]);
+        throw error;
+      }
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, fileName: finalFileName, sendId, held }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  } catch (error) {
+    console.error('Error uploading image:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to upload image' }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
+
+/**
+ * Send a message via the configured messaging provider
+ */
+async function handleSendSMS(request, env, corsHeaders) {
+  try {
+    const provider = getMessagingProvider(env);
+
+    const body = await request.json();
+    const { message, recipientId, mediaUrl } = body;
+
+    if (!recipientId || !mediaUrl) {
+      return new Response(
+        JSON.stringify({ error: 'Missing recipientId or mediaUrl' }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    // Resolve recipient server-side - unknown IDs are rejected
+    const recipient = await getRecipient(env, recipientId);
+    if (!recipient) {
+      return new Response(
+        JSON.stringify({ error: 'Unknown recipient' }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    // Validate mediaUrl is from our Worker
+    let mediaUrlObj;
+    try {
+      mediaUrlObj = new URL(mediaUrl);
+      if (!mediaUrlObj.pathname.startsWith('/image/')) {
+        return new Response(
+          JSON.stringify({ error: 'Invalid media URL' }),
+          {
+            status: 400,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          }
+        );
+      }
+    } catch (e) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid media URL format' }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    const imageKey = mediaUrlObj.pathname.replace('/image/', '');
+    const image = await getIndexedImage(env, imageKey);
+    if (!image || image.hidden) {
       return new Response(
-        JSON.stringify({ error: 'Failed to send SMS', details: errorText }),
+        JSON.stringify({ error: 'Unknown image' }),
         {
-          status: twilioResponse.status,
+          status: 404,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' },
         }
       );
     }
 
-    const twilioData = await twilioResponse.json();
+    // Same server-side screening as /upload
+    const screening = await screenIndexedImage(env, image);
+    if (screening.decision === 'block') {
+      return new Response(
+        JSON.stringify({ error: "That doesn't look like a bird", label: screening.birdCheck.label }),
+        {
+          status: 422,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+    if (screening.decision === 'hold') {
+      await updateImageModeration(env, imageKey, {
+        hidden: true,
+        flagged: true,
+        flagReason: screening.flagReason,
+      });
+      const sendId = await enqueueSend(env, {
+        imageKey,
+        recipientId: recipient.id,
+        message: message || DEFAULT_BIRD_MESSAGE,
+        mediaUrl: `${new URL(request.url).origin}/image/${imageKey}`,
+        held: true,
+      });
+      return new Response(
+        JSON.stringify({ success: true, held: true, sendId }),
+        {
+          status: 202,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    // Providers always get a signed, expiring link to the image
+    const result = await provider.send({
+      recipient,
+      body: message || DEFAULT_BIRD_MESSAGE,
+      mediaUrl: await signImageUrl(env, new URL(request.url).origin, imageKey, MESSAGE_URL_TTL),
+      statusCallback: new URL('/twilio/status', request.url).toString(),
+    });
+
+    try {
+      await recordMessage(env, {
+        imageKey,
+        messageSid: result.id,
+        recipientId: recipient.id,
+        provider: provider.name,
+        status: result.status,
+      });
+    } catch (ledgerError) {
+      console.error('Error recording message:', ledgerError);
+    }
 
     return new Response(
-      JSON.stringify({ success: true, messageSid: twilioData.sid }),
+      JSON.stringify({ success: true, messageSid: result.id }),
       {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
       }
     );
   } catch (error) {
+    if (error instanceof ProviderError) {
+      return new Response(
+        JSON.stringify({ error: 'Failed to send SMS', details: error.details || error.message }),
+        {
+          status: error.status,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
     console.error('Error sending SMS:', error);
     return new Response(
       JSON.stringify({ error: 'Failed to send SMS', details: error.message }),
@@ -570,10 +887,143 @@ async function handleSendSMS(request, env, corsHeaders) {
   }
 }
 
+/**
+ * Twilio message status callback - updates the delivery ledger
+ */
+async function handleTwilioStatus(request, env, corsHeaders) {
+  try {
+    const params = await readTwilioWebhook(request, env);
+    if (!params) {
+      return new Response('Invalid signature', {
+        status: 403,
+        headers: corsHeaders,
+      });
+    }
+
+    const status = normalizeStatus(params.MessageStatus);
+    if (params.MessageSid && status) {
+      const known = await updateMessageStatus(env, params.MessageSid, status, params.ErrorCode);
+      if (!known) {
+        console.warn(`Status callback for unknown message ${params.MessageSid}`);
+      }
+    }
+
+    // Twilio only needs a 2xx; an empty body avoids it being parsed as TwiML
+    return new Response(null, { status: 204, headers: corsHeaders });
+  } catch (error) {
+    console.error('Error handling Twilio status callback:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to process status callback' }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
+
+/**
+ * Twilio inbound message webhook - attaches replies to the latest bird sent
+ * to that recipient. Always answers with empty TwiML so no auto-reply is sent.
+ */
+async function handleTwilioInbound(request, env, corsHeaders) {
+  try {
+    const params = await readTwilioWebhook(request, env);
+    if (!params) {
+      return new Response('Invalid signature', {
+        status: 403,
+        headers: corsHeaders,
+      });
+    }
+
+    const recipient = await getRecipientByPhoneNumber(env, params.From);
+    const imageKey = recipient ? await getLatestImageKeyForRecipient(env, recipient.id) : null;
+
+    // Picture-only replies arrive with an empty Body and NumMedia > 0
+    const mediaUrls = getReplyMediaUrls(params);
+    if (imageKey && params.MessageSid && (params.Body || mediaUrls.length > 0)) {
+      await recordReply(env, {
+        messageSid: params.MessageSid,
+        imageKey,
+        recipientId: recipient.id,
+        body: params.Body || '',
+        mediaUrls,
+      });
+    } else if (imageKey) {
+      console.warn(`Ignoring inbound message ${params.MessageSid}: no text or media`);
+    } else {
+      console.warn(`Ignoring inbound message ${params.MessageSid}: no matching recipient or bird`);
+    }
+
+    return new Response('<?xml version="1.0" encoding="UTF-8"?><Response></Response>', {
+      headers: { ...corsHeaders, 'Content-Type': 'text/xml' },
+    });
+  } catch (error) {
+    console.error('Error handling Twilio inbound message:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to process inbound message' }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
+
+/**
+ * Get the delivery status of a queued send (e.g. /send/<id>)
+ */
+async function handleGetSendStatus(path, env, corsHeaders) {
+  try {
+    const id = path.replace('/send/', '');
+    const job = id ? await getSendJob(env, id) : null;
+
+    if (!job) {
+      return new Response(
+        JSON.stringify({ error: 'Send not found' }),
+        {
+          status: 404,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify(job),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  } catch (error) {
+    console.error('Error getting send status:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to get send status' }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
+
+/**
+ * Headers for an image response: the image's own headers plus this request's
+ * CORS headers. The CORS headers echo the requesting origin, so they are never
+ * stored in the cache and are applied afresh to every response.
+ */
+function withImageCorsHeaders(imageHeaders, corsHeaders) {
+  const headers = new Headers(imageHeaders);
+  for (const [name, value] of Object.entries(corsHeaders)) {
+    headers.set(name, value);
+  }
+  headers.set('Vary', 'Accept, Origin');
+  return headers;
+}
+
 /**
  * Serve images from R2 bucket
  */
-async function handleServeImage(path, env, corsHeaders) {
+async function handleServeImage(request, path, env, ctx, corsHeaders) {
   try {
     const bucket = env.R2_BUCKET;
     if (!bucket) {
@@ -601,8 +1051,61 @@ async function handleServeImage(path, env, corsHeaders) {
       });
     }
 
-    // Get object from R2
-    const object = await bucket.get(filename);
+    // Hidden images are gone for everyone, including holders of signed links
+    // and anything already in the edge cache
+    const row = env.DB ? await getIndexedImage(env, filename) : null;
+    if (row?.hidden) {
+      return new Response('Image not found', {
+        status: 404,
+        headers: corsHeaders,
+      });
+    }
+
+    const searchParams = new URL(request.url).searchParams;
+    if (requiresSignedImages(env) && !(await verifyImageSignature(env, filename, searchParams))) {
+      return new Response('Invalid or expired signature', {
+        status: 403,
+        headers: corsHeaders,
+      });
+    }
+
+    // ?w= asks for a variant at least that wide. Widths that weren't generated
+    // (the image is narrower, or can't be thumbnailed) get the original, with
+    // its own cache entry and headers
+    const width = parseInt(searchParams.get('w'), 10);
+    const widths = getThumbnailWidths(row) ?? THUMBNAIL_WIDTHS;
+    const variant = width > 0 ? selectThumbnail(filename, width, request.headers.get('Accept'), widths) : null;
+
+    // Variants get their own cache entry since the format depends on Accept
+    const cacheKey = new URL(request.url);
+    cacheKey.search = variant ? `?variant=${encodeURIComponent(variant.key)}` : '';
+    const cache = caches.default;
+    const range = request.headers.get('Range');
+
+    // Full GETs are answered from the Workers cache when possible, skipping R2
+    if (request.method === 'GET' && !range) {
+      const cached = await cache.match(cacheKey.toString());
+      if (cached) {
+        const headers = withImageCorsHeaders(cached.headers, corsHeaders);
+        if (isNotModified(request, cached.headers.get('ETag'), cached.headers.get('Last-Modified'))) {
+          return new Response(null, { status: 304, headers });
+        }
+        return new Response(cached.body, { status: cached.status, headers });
+      }
+    }
+
+    // Only fetch metadata first when the body may not be needed in full
+    const needsMetadataFirst = request.method === 'HEAD' || !!range ||
+      request.headers.has('If-None-Match') || request.headers.has('If-Modified-Since');
+    const lookup = key => (needsMetadataFirst ? bucket.head(key) : bucket.get(key));
+
+    // A variant that should exist but doesn't yet is served as the original,
+    // cached only briefly while the thumbnails may still be on their way
+    let object = variant ? await lookup(variant.key) : null;
+    const isFallback = variant && !object && isAwaitingThumbnails(row);
+    if (!object) {
+      object = await lookup(filename);
+    }
 
     if (!object) {
       return new Response('Image not found', {
@@ -614,16 +1117,251 @@ async function handleServeImage(path, env, corsHeaders) {
     // Get the content type from object metadata or default to image/jpeg
     const contentType = object.httpMetadata?.contentType || 'image/jpeg';
 
-    // Return the image with appropriate headers
+    // Never render anything but a raster image inline (e.g. SVGs stored before
+    // uploads were sniffed); the CSP stops any content that does get through
+    // from running script or loading resources.
+    const servable = SERVABLE_IMAGE_TYPES.includes(contentType);
+    const imageHeaders = {
+      'Content-Type': servable ? contentType : 'application/octet-stream',
+      // Cache for 1 year, or briefly when a variant may still be on its way
+      'Cache-Control': isFallback ? 'public, max-age=60' : 'public, max-age=31536000',
+      'ETag': object.httpEtag,
+      'Last-Modified': new Date(object.uploaded).toUTCString(),
+      'Accept-Ranges': 'bytes',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+      // The variant format depends on whether the client accepts WebP
+      'Vary': 'Accept',
+    };
+    if (!servable) {
+      imageHeaders['Content-Disposition'] = 'attachment';
+    }
+    const headers = Object.fromEntries(withImageCorsHeaders(imageHeaders, corsHeaders));
+
+    if (isNotModified(request, headers['etag'], headers['last-modified'])) {
+      return new Response(null, { status: 304, headers });
+    }
+
+    const byteRange = parseRange(range, object.size);
+    if (byteRange?.unsatisfiable) {
+      return new Response(null, {
+        status: 416,
+        headers: { ...headers, 'Content-Range': `bytes */${object.size}` },
+      });
+    }
+
+    if (request.method === 'HEAD') {
+      return new Response(null, {
+        headers: { ...headers, 'Content-Length': String(object.size) },
+      });
+    }
+
+    if (needsMetadataFirst) {
+      object = await bucket.get(object.key, byteRange ? { range: byteRange } : undefined);
+      if (!object) {
+        return new Response('Image not found', {
+          status: 404,
+          headers: corsHeaders,
+        });
+      }
+    }
+
+    if (byteRange) {
+      const last = byteRange.offset + byteRange.length - 1;
+      return new Response(object.body, {
+        status: 206,
+        headers: {
+          ...headers,
+          'Content-Range': `bytes ${byteRange.offset}-${last}/${object.size}`,
+          'Content-Length': String(byteRange.length),
+        },
+      });
+    }
+
+    // Return the image with appropriate headers, keeping a copy (without the
+    // CORS headers) in the cache
+    const [body, cachedBody] = object.body.tee();
+    ctx.waitUntil(cache.put(cacheKey.toString(), new Response(cachedBody, { headers: imageHeaders })));
+    return new Response(body, { headers });
+  } catch (error) {
+    console.error('Error serving image:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to serve image' }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
+
+
+/**
+ * Authenticate an /admin request and dispatch it
+ * GET    /admin/images?filter=flagged|hidden|visible|all&cursor=
+ * GET    /admin/images/<key>/file?w=   (image bytes, including hidden ones)
+ * PATCH  /admin/images/<key>           { hidden?, pinned?, flagged? }
+ * DELETE /admin/images/<key>
+ * GET    /admin/sends?cursor=
+ * GET    /admin/stats
+ * POST   /admin/reindex                (add bucket images missing from the index)
+ */
+async function handleAdminRequest(request, path, env, corsHeaders) {
+  if (!isAdminConfigured(env)) {
+    return new Response(
+      JSON.stringify({ error: 'Admin access is not configured' }),
+      {
+        status: 503,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+
+  let admin;
+  try {
+    admin = await authenticateAdmin(request, env);
+  } catch (error) {
+    console.error('Error authenticating admin:', error);
+  }
+  if (!admin) {
+    return new Response(
+      JSON.stringify({ error: 'Unauthorized' }),
+      {
+        status: 401,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' },
+      }
+    );
+  }
+
+  if (path === '/admin/images' && request.method === 'GET') {
+    return await handleAdminListImages(request, env, corsHeaders);
+  }
+  if (path === '/admin/sends' && request.method === 'GET') {
+    return await handleAdminListSends(request, env, corsHeaders);
+  }
+  if (path === '/admin/stats' && request.method === 'GET') {
+    return await handleGetStats(env, corsHeaders);
+  }
+  if (path === '/admin/reindex' && request.method === 'POST') {
+    return await handleAdminReindex(env, corsHeaders);
+  }
+
+  const match = /^\/admin\/images\/([^/]+)(\/file)?$/.exec(path);
+  if (match) {
+    const key = decodeURIComponent(match[1]);
+    if (match[2] && request.method === 'GET') {
+      return await handleAdminServeImage(request, key, env, corsHeaders);
+    }
+    if (!match[2] && request.method === 'PATCH') {
+      return await handleAdminUpdateImage(request, key, admin, env, corsHeaders);
+    }
+    if (!match[2] && request.method === 'DELETE') {
+      return await handleAdminDeleteImage(key, admin, env, corsHeaders);
+    }
+  }
+
+  return new Response('Not Found', { status: 404, headers: corsHeaders });
+}
+
+// filter values for /admin/images mapped to listIndexedImages options
+const ADMIN_IMAGE_FILTERS = {
+  flagged: { hidden: null, flagged: true },
+  hidden: { hidden: true, flagged: null },
+  visible: { hidden: false, flagged: null },
+  all: { hidden: null, flagged: null },
+};
+
+/**
+ * Turn index rows into admin image objects: gallery details plus moderation state
+ */
+async function describeAdminImages(request, env, rows) {
+  const images = await describeImages(request, env, rows);
+  return images.map((image, i) => ({
+    ...image,
+    Size: rows[i].size,
+    Hidden: !!rows[i].hidden,
+    Pinned: !!rows[i].pinned,
+    Flagged: !!rows[i].flagged,
+    FlagReason: rows[i].flag_reason,
+  }));
+}
+
+/**
+ * List images for moderation, including hidden ones
+ */
+async function handleAdminListImages(request, env, corsHeaders) {
+  try {
+    if (!env.DB) {
+      throw new Error('DB not configured');
+    }
+
+    const searchParams = new URL(request.url).searchParams;
+    const query = parseListQuery(searchParams);
+    const filter = ADMIN_IMAGE_FILTERS[searchParams.get('filter') || 'all'];
+    if (query.error || !filter) {
+      return new Response(
+        JSON.stringify({ error: query.error || 'filter must be one of flagged, hidden, visible, all' }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    const page = await listIndexedImages(env, { ...query, ...filter });
+    const images = await describeAdminImages(request, env, page.images);
+
+    return new Response(
+      JSON.stringify({ images, cursor: page.cursor }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  } catch (error) {
+    console.error('Error listing admin images:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to list images' }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
+
+/**
+ * Serve an image (or a ?w= thumbnail) to the admin console, hidden or not
+ * Never cached, since /image must keep returning 404 for hidden images.
+ */
+async function handleAdminServeImage(request, key, env, corsHeaders) {
+  try {
+    if (!env.R2_BUCKET) {
+      throw new Error('R2_BUCKET not configured');
+    }
+
+    const width = parseInt(new URL(request.url).searchParams.get('w'), 10);
+    const variant = width > 0 ? selectThumbnail(key, width, request.headers.get('Accept')) : null;
+    const object = (variant && (await env.R2_BUCKET.get(variant.key))) || (await env.R2_BUCKET.get(key));
+
+    if (!object) {
+      return new Response('Image not found', {
+        status: 404,
+        headers: corsHeaders,
+      });
+    }
+
+    const contentType = object.httpMetadata?.contentType || 'image/jpeg';
     return new Response(object.body, {
       headers: {
         ...corsHeaders,
-        'Content-Type': contentType,
-        'Cache-Control': 'public, max-age=31536000', // Cache for 1 year
+        'Content-Type': SERVABLE_IMAGE_TYPES.includes(contentType) ? contentType : 'application/octet-stream',
+        'Cache-Control': 'private, no-store',
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'; sandbox",
       },
     });
   } catch (error) {
-    console.error('Error serving image:', error);
+    console.error('Error serving admin image:', error);
     return new Response(
       JSON.stringify({ error: 'Failed to serve image' }),
       {
@@ -634,3 +1372,175 @@ async function handleServeImage(path, env, corsHeaders) {
   }
 }
 
+/**
+ * Hide/unhide, pin/unpin or clear the flag on an image
+ */
+async function handleAdminUpdateImage(request, key, admin, env, corsHeaders) {
+  try {
+    if (!env.DB) {
+      throw new Error('DB not configured');
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (e) {
+      body = null;
+    }
+
+    const changes = {};
+    for (const field of ['hidden', 'pinned', 'flagged']) {
+      if (body && typeof body[field] === 'boolean') {
+        changes[field] = body[field];
+      }
+    }
+    if (Object.keys(changes).length === 0) {
+      return new Response(
+        JSON.stringify({ error: 'Expected a JSON body with hidden, pinned and/or flagged booleans' }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    const row = await updateImageModeration(env, key, changes);
+    if (row && changes.flagged === false) {
+      await markReportsReviewed(env, key);
+    }
+    // Unhiding an image approves it, sending anything held for it
+    if (row && changes.hidden === false) {
+      await approveScreening(env, key);
+      await releaseHeldSends(env, key);
+    }
+    if (!row) {
+      return new Response(
+        JSON.stringify({ error: 'Bird not found' }),
+        {
+          status: 404,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    console.log(`Admin ${admin.subject} updated ${key}:`, JSON.stringify(changes));
+    const [image] = await describeAdminImages(request, env, [row]);
+    return new Response(
+      JSON.stringify({ image }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  } catch (error) {
+    console.error('Error updating image:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to update image' }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
+
+/**
+ * Permanently delete an image, its thumbnails and its index row
+ */
+async function handleAdminDeleteImage(key, admin, env, corsHeaders) {
+  try {
+    if (!env.DB) {
+      throw new Error('DB not configured');
+    }
+
+    if (!(await getIndexedImage(env, key))) {
+      return new Response(
+        JSON.stringify({ error: 'Bird not found' }),
+        {
+          status: 404,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    await cancelHeldSends(env, key, 'Image deleted by a moderator');
+    await deleteImages(env, [key]);
+    console.log(`Admin ${admin.subject} deleted ${key}`);
+
+    return new Response(
+      JSON.stringify({ deleted: key }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  } catch (error) {
+    console.error('Error deleting image:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to delete image' }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
+
+/**
+ * Add every image in the bucket that is missing from the index
+ */
+async function handleAdminReindex(env, corsHeaders) {
+  try {
+    if (!env.R2_BUCKET) {
+      throw new Error('R2_BUCKET not configured');
+    }
+    if (!env.DB) {
+      throw new Error('DB not configured');
+    }
+
+    const indexed = await rebuildImageIndex(env);
+
+    return new Response(
+      JSON.stringify({ indexed }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  } catch (error) {
+    console.error('Error rebuilding image index:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to rebuild image index' }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
+
+/**
+ * Send history, newest first
+ */
+async function handleAdminListSends(request, env, corsHeaders) {
+  try {
+    const searchParams = new URL(request.url).searchParams;
+    const history = await listSendJobs(env, {
+      limit: parseInt(searchParams.get('limit'), 10) || undefined,
+      cursor: searchParams.get('cursor'),
+    });
+
+    return new Response(
+      JSON.stringify(history),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  } catch (error) {
+    console.error('Error listing sends:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to list sends' }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Message ledger backed by D1
+ * Tracks the delivery status of every sent image, keyed by image key.
+ */
+
+// Statuses only move forward; late callbacks (e.g. "sent" after "delivered") are ignored
+const STATUS_RANK = {
+  queued: 0,
+  sent: 1,
+  delivered: 2,
+  failed: 2,
+};
+
+/**
+ * Map a provider status onto the ledger's queued/sent/delivered/failed
+ */
+export function normalizeStatus(status) {
+  switch ((status || '').toLowerCase()) {
+    case 'accepted':
+    case 'scheduled':
+    case 'queued':
+    case 'sending':
+      return 'queued';
+    case 'sent':
+      return 'sent';
+    case 'delivered':
+    case 'read':
+      return 'delivered';
+    case 'undelivered':
+    case 'failed':
+    case 'canceled':
+      return 'failed';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Record a message handed to a provider
+ */
+export async function recordMessage(env, { imageKey, messageSid, recipientId, provider, status }) {
+  await env.DB
+    .prepare(
+      `INSERT INTO messages (image_key, message_sid, recipient_id, provider, status)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (image_key) DO UPDATE SET
+         message_sid = excluded.message_sid,
+         recipient_id = excluded.recipient_id,
+         provider = excluded.provider,
+         status = excluded.status,
+         error_code = NULL,
+         updated_at = datetime('now')`
+    )
+    .bind(imageKey, messageSid, recipientId, provider, normalizeStatus(status) || 'queued')
+    .run();
+}
+
+/**
+ * Apply a status callback; returns false if the message isn't in the ledger
+ */
+export async function updateMessageStatus(env, messageSid, status, errorCode) {
+  const entry = await env.DB
+    .prepare('SELECT status FROM messages WHERE message_sid = ?')
+    .bind(messageSid)
+    .first();
+
+  if (!entry) {
+    return false;
+  }
+
+  if (STATUS_RANK[status] >= STATUS_RANK[entry.status]) {
+    await env.DB
+      .prepare(`UPDATE messages SET status = ?, error_code = ?, updated_at = datetime('now') WHERE message_sid = ?`)
+      .bind(status, errorCode || null, messageSid)
+      .run();
+  }
+
+  return true;
+}
+
+/**
+ * Key of the most recent image sent to a recipient, or null if none
+ */
+export async function getLatestImageKeyForRecipient(env, recipientId) {
+  return await env.DB
+    .prepare('SELECT image_key FROM messages WHERE recipient_id = ? ORDER BY created_at DESC, rowid DESC LIMIT 1')
+    .bind(recipientId)
+    .first('image_key');
+}
+
+/**
+ * Look up delivery status for a set of image keys
+ */
+export async function getDeliveryStatuses(env, imageKeys) {
+  if (!env.DB || imageKeys.length === 0) {
+    return {};
+  }
+
+  const placeholders = imageKeys.map(() => '?').join(', ');
+  const { results } = await env.DB
+    .prepare(`SELECT image_key, status FROM messages WHERE image_key IN (${placeholders})`)
+    .bind(...imageKeys)
+    .all();
+
+  return Object.fromEntries(results.map(row => [row.image_key, row.status]));
+}
@@ -0,0 +1,366 @@
+/**
+ * Image metadata scrubbing
+ * Removes EXIF (GPS, camera serials, timestamps), XMP and IPTC metadata from
+ * JPEG, PNG, WebP and GIF files before they are stored. Pixel data is left
+ * untouched. BMP has nowhere to put metadata; every other type is refused.
+ */
+
+/**
+ * Raised when an image is too malformed to scrub safely
+ */
+export class MalformedImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MalformedImageError';
+  }
+}
+
+/**
+ * Raised for image types whose metadata can't be stripped (e.g. TIFF, where
+ * the EXIF tags are part of the file structure itself)
+ */
+export class UnsupportedImageError extends Error {
+  constructor(mime) {
+    super(`Cannot strip metadata from ${mime}`);
+    this.name = 'UnsupportedImageError';
+    this.mime = mime;
+  }
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function ascii(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+/**
+ * Read the EXIF Orientation tag from an APP1 payload, or null if absent
+ */
+function readExifOrientation(payload) {
+  if (ascii(payload, 0, 6) !== 'Exif\0\0') {
+    return null;
+  }
+
+  const tiff = new DataView(payload.buffer, payload.byteOffset + 6, payload.length - 6);
+  if (tiff.byteLength < 8) {
+    return null;
+  }
+
+  const littleEndian = tiff.getUint16(0) === 0x4949;
+  const ifdOffset = tiff.getUint32(4, littleEndian);
+  if (ifdOffset + 2 > tiff.byteLength) {
+    return null;
+  }
+
+  const entries = tiff.getUint16(ifdOffset, littleEndian);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > tiff.byteLength) {
+      return null;
+    }
+    if (tiff.getUint16(entry, littleEndian) === 0x0112) {
+      return tiff.getUint16(entry + 8, littleEndian);
+    }
+  }
+  return null;
+}
+
+/**
+ * Minimal APP1 segment holding only the Orientation tag, so direct uploads
+ * from phones aren't displayed sideways once their EXIF is gone
+ */
+function buildOrientationSegment(orientation) {
+  const segment = new Uint8Array(36);
+  const view = new DataView(segment.buffer);
+  view.setUint16(0, 0xffe1);
+  view.setUint16(2, 34); // segment length, excluding the marker
+  segment.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4); // "Exif\0\0"
+  segment.set([0x4d, 0x4d, 0x00, 0x2a], 10); // big-endian TIFF header
+  view.setUint32(14, 8); // IFD0 offset
+  view.setUint16(18, 1); // one entry
+  view.setUint16(20, 0x0112); // Orientation
+  view.setUint16(22, 3); // SHORT
+  view.setUint32(24, 1); // count
+  view.setUint16(28, orientation);
+  view.setUint32(32, 0); // no next IFD
+  return segment;
+}
+
+/**
+ * Offset of the first marker after a scan's entropy-coded data
+ * FF00 is a stuffed data byte, FFD0-FFD7 are restart markers and FFFF is fill.
+ */
+function findScanEnd(bytes, start) {
+  for (let pos = start; pos + 1 < bytes.length; pos++) {
+    if (bytes[pos] !== 0xff) {
+      continue;
+    }
+    const next = bytes[pos + 1];
+    if (next === 0x00 || next === 0xff || (next >= 0xd0 && next <= 0xd7)) {
+      continue;
+    }
+    return pos;
+  }
+  throw new MalformedImageError('Truncated JPEG scan');
+}
+
+/**
+ * JPEG: drop every APPn segment except JFIF (APP0), ICC profiles (APP2) and
+ * Adobe colour info (APP14), plus comments. Scans are copied as-is and the
+ * output ends at EOI, so anything appended after it (MPF/Ultra HDR secondary
+ * images, a trailing Exif block) is dropped too.
+ */
+function stripJpeg(bytes) {
+  const parts = [bytes.subarray(0, 2)];
+  let orientation = null;
+  let pos = 2;
+
+  while (pos < bytes.length) {
+    if (bytes[pos] !== 0xff) {
+      throw new MalformedImageError('Invalid JPEG segment');
+    }
+
+    // Skip fill bytes
+    let markerPos = pos;
+    while (bytes[markerPos + 1] === 0xff) {
+      markerPos++;
+    }
+    const marker = bytes[markerPos + 1];
+
+    // End of image - nothing after it is kept
+    if (marker === 0xd9) {
+      parts.push(bytes.subarray(markerPos, markerPos + 2));
+      break;
+    }
+
+    // Markers without a length field
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      parts.push(bytes.subarray(markerPos, markerPos + 2));
+      pos = markerPos + 2;
+      continue;
+    }
+
+    if (markerPos + 4 > bytes.length) {
+      throw new MalformedImageError('Truncated JPEG segment');
+    }
+    const length = (bytes[markerPos + 2] << 8) | bytes[markerPos + 3];
+    const end = markerPos + 2 + length;
+    if (length < 2 || end > bytes.length) {
+      throw new MalformedImageError('Truncated JPEG segment');
+    }
+
+    const payload = bytes.subarray(markerPos + 4, end);
+    const isApp = marker >= 0xe0 && marker <= 0xef;
+    const keep =
+      (!isApp && marker !== 0xfe) ||
+      marker === 0xe0 ||
+      marker === 0xee ||
+      (marker === 0xe2 && ascii(payload, 0, 12) === 'ICC_PROFILE\0');
+
+    // Start of scan: its header plus the compressed data up to the next
+    // marker (progressive files have several scans)
+    if (marker === 0xda) {
+      const scanEnd = findScanEnd(bytes, end);
+      parts.push(bytes.subarray(markerPos, scanEnd));
+      pos = scanEnd;
+      continue;
+    }
+
+    if (keep) {
+      parts.push(bytes.subarray(markerPos, end));
+    } else if (marker === 0xe1 && orientation === null) {
+      orientation = readExifOrientation(payload);
+    }
+    pos = end;
+  }
+
+  // Re-insert orientation right after SOI (and JFIF, if present)
+  if (orientation && orientation !== 1) {
+    const insertAt = parts.length > 1 && parts[1][1] === 0xe0 ? 2 : 1;
+    parts.splice(insertAt, 0, buildOrientationSegment(orientation));
+  }
+
+  return concat(parts);
+}
+
+// Ancillary PNG chunks that carry metadata
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+/**
+ * PNG: drop text, EXIF and timestamp chunks; chunk CRCs are per chunk so the
+ * remaining chunks are copied unchanged.
+ */
+function stripPng(bytes) {
+  const parts = [bytes.subarray(0, 8)];
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  let pos = 8;
+
+  while (pos < bytes.length) {
+    if (pos + 12 > bytes.length) {
+      throw new MalformedImageError('Truncated PNG chunk');
+    }
+    const length = view.getUint32(pos);
+    const type = ascii(bytes, pos + 4, 4);
+    const end = pos + 12 + length;
+    if (end > bytes.length) {
+      throw new MalformedImageError('Truncated PNG chunk');
+    }
+
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(bytes.subarray(pos, end));
+    }
+    pos = end;
+
+    if (type === 'IEND') {
+      break;
+    }
+  }
+
+  return concat(parts);
+}
+
+// VP8X feature flags for the chunks we remove
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+/**
+ * WebP: drop EXIF and XMP chunks, clear their VP8X flags and fix the RIFF size.
+ */
+function stripWebp(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const riffEnd = Math.min(bytes.length, 8 + view.getUint32(4, true));
+  const parts = [bytes.slice(0, 12)];
+  let pos = 12;
+
+  while (pos < riffEnd) {
+    if (pos + 8 > riffEnd) {
+      throw new MalformedImageError('Truncated WebP chunk');
+    }
+    const type = ascii(bytes, pos, 4);
+    const size = view.getUint32(pos + 4, true);
+    const end = pos + 8 + size + (size % 2); // chunks are padded to even sizes
+    if (end > bytes.length) {
+      throw new MalformedImageError('Truncated WebP chunk');
+    }
+
+    if (type === 'VP8X') {
+      const chunk = bytes.slice(pos, end);
+      chunk[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+      parts.push(chunk);
+    } else if (type !== 'EXIF' && type !== 'XMP ') {
+      parts.push(bytes.subarray(pos, end));
+    }
+    pos = end;
+  }
+
+  const out = concat(parts);
+  new DataView(out.buffer).setUint32(4, out.length - 8, true);
+  return out;
+}
+
+// Types stripImageMetadata accepts; uploads of any other type are refused
+export const STRIPPABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/bmp'];
+
+// GIF application extensions that only control animation and are kept
+const GIF_ANIMATION_EXTENSIONS = ['NETSCAPE2.0', 'ANIMEXTS1.0'];
+
+/**
+ * Offset just past a run of GIF data sub-blocks (each length-prefixed, ending
+ * with a zero-length block)
+ */
+function skipGifSubBlocks(bytes, pos) {
+  while (pos < bytes.length) {
+    const size = bytes[pos];
+    pos += 1 + size;
+    if (size === 0) {
+      return pos;
+    }
+  }
+  throw new MalformedImageError('Truncated GIF block');
+}
+
+/**
+ * GIF: drop comment extensions and application extensions other than
+ * animation looping (XMP is stored as one). Image data is copied as-is.
+ */
+function stripGif(bytes) {
+  if (bytes.length < 13) {
+    throw new MalformedImageError('Truncated GIF header');
+  }
+
+  // Header and logical screen descriptor, plus the global colour table if any
+  const flags = bytes[10];
+  let pos = 13 + (flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0);
+  if (pos > bytes.length) {
+    throw new MalformedImageError('Truncated GIF header');
+  }
+  const parts = [bytes.subarray(0, pos)];
+
+  while (pos < bytes.length) {
+    const introducer = bytes[pos];
+
+    // Trailer
+    if (introducer === 0x3b) {
+      parts.push(bytes.subarray(pos, pos + 1));
+      return concat(parts);
+    }
+
+    if (introducer === 0x21) {
+      const label = bytes[pos + 1];
+      const end = skipGifSubBlocks(bytes, pos + 2);
+      const isAnimation = label === 0xff && GIF_ANIMATION_EXTENSIONS.includes(ascii(bytes, pos + 3, 11));
+      if ((label !== 0xfe && label !== 0xff) || isAnimation) {
+        parts.push(bytes.subarray(pos, end));
+      }
+      pos = end;
+      continue;
+    }
+
+    if (introducer === 0x2c) {
+      // Image descriptor, optional local colour table, LZW code size, then data
+      if (pos + 10 > bytes.length) {
+        throw new MalformedImageError('Truncated GIF image');
+      }
+      const localFlags = bytes[pos + 9];
+      const dataStart = pos + 10 + (localFlags & 0x80 ? 3 * 2 ** ((localFlags & 0x07) + 1) : 0) + 1;
+      const end = skipGifSubBlocks(bytes, dataStart);
+      parts.push(bytes.subarray(pos, end));
+      pos = end;
+      continue;
+    }
+
+    throw new MalformedImageError('Invalid GIF block');
+  }
+
+  throw new MalformedImageError('Missing GIF trailer');
+}
+
+/**
+ * Strip privacy-sensitive metadata from an image
+ * Throws UnsupportedImageError for types that can carry metadata this module
+ * doesn't know how to remove, so they are never stored with it.
+ */
+export function stripImageMetadata(bytes, mime) {
+  switch (mime) {
+    case 'image/jpeg':
+      return stripJpeg(bytes);
+    case 'image/png':
+      return stripPng(bytes);
+    case 'image/webp':
+      return stripWebp(bytes);
+    case 'image/gif':
+      return stripGif(bytes);
+    case 'image/bmp':
+      return bytes;
+    default:
+      throw new UnsupportedImageError(mime);
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Email provider - sends through an SMTP-over-HTTP relay
+ * The relay receives { from, to, subject, text, html } as JSON at EMAIL_API_URL.
+ */
+
+import { ProviderError } from './errors.js';
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function createEmailProvider(env) {
+  const { EMAIL_API_URL, EMAIL_API_KEY, EMAIL_FROM } = env;
+
+  if (!EMAIL_API_URL || !EMAIL_FROM) {
+    throw new Error('Email provider not configured');
+  }
+
+  return {
+    name: 'email',
+
+    async send({ recipient, body, mediaUrl }) {
+      if (!recipient.email) {
+        throw new ProviderError('Recipient has no email address', 400);
+      }
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (EMAIL_API_KEY) {
+        headers['Authorization'] = `Bearer ${EMAIL_API_KEY}`;
+      }
+
+      const response = await fetch(EMAIL_API_URL, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          from: EMAIL_FROM,
+          to: recipient.email,
+          subject: 'Someone sent you a bird!',
+          text: `${body}\n\n${mediaUrl}`,
+          html: `<p>${escapeHtml(body)}</p><p><img src="${escapeHtml(mediaUrl)}" alt="Bird" style="max-width:100%"></p>`,
+        }),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('Email relay error:', errorText);
+        throw new ProviderError('Email relay rejected the message', response.status, errorText);
+      }
+
+      const data = await response.json().catch(() => ({}));
+      return { id: data.id || data.messageId || crypto.randomUUID(), status: 'sent' };
+    },
+  };
+}
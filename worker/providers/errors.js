@@ -0,0 +1,11 @@
+/**
+ * Raised when a provider's upstream service rejects a message
+ */
+export class ProviderError extends Error {
+  constructor(message, status = 502, details) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.details = details;
+  }
+}
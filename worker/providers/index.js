@@ -0,0 +1,36 @@
+/**
+ * Messaging providers behind the /sms route
+ * Every provider exposes send({ recipient, body, mediaUrl, statusCallback })
+ * -> { id, status } and throws a ProviderError when the upstream service
+ * rejects the message. statusCallback is only used by providers that report
+ * delivery status (Twilio).
+ * MESSAGING_PROVIDER selects the provider (defaults to Twilio).
+ */
+
+import { createTwilioProvider } from './twilio.js';
+import { createWebhookProvider } from './webhook.js';
+import { createEmailProvider } from './email.js';
+import { createLogProvider } from './log.js';
+
+export { ProviderError } from './errors.js';
+
+const PROVIDERS = {
+  twilio: createTwilioProvider,
+  webhook: createWebhookProvider,
+  email: createEmailProvider,
+  log: createLogProvider,
+};
+
+/**
+ * Create the messaging provider configured for this environment
+ */
+export function getMessagingProvider(env) {
+  const name = (env.MESSAGING_PROVIDER || 'twilio').toLowerCase();
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown messaging provider: ${name}`);
+  }
+
+  return factory(env);
+}
@@ -0,0 +1,32 @@
+/**
+ * Log provider - records messages instead of sending them
+ * Used for local development and tests; the most recent messages are kept in
+ * sentMessages (capped so it can't grow for the isolate's lifetime).
+ */
+
+export const MAX_SENT_MESSAGES = 100;
+
+export const sentMessages = [];
+
+/**
+ * Forget every recorded message, e.g. between tests
+ */
+export function clearSentMessages() {
+  sentMessages.length = 0;
+}
+
+export function createLogProvider() {
+  return {
+    name: 'log',
+
+    async send({ recipient, body, mediaUrl }) {
+      const id = `log-${crypto.randomUUID()}`;
+      sentMessages.push({ id, recipientId: recipient.id, body, mediaUrl });
+      if (sentMessages.length > MAX_SENT_MESSAGES) {
+        sentMessages.splice(0, sentMessages.length - MAX_SENT_MESSAGES);
+      }
+      console.log(`[log provider] ${id} to ${recipient.name} (${recipient.id}): ${body} ${mediaUrl}`);
+      return { id, status: 'sent' };
+    },
+  };
+}
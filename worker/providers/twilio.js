@@ -0,0 +1,59 @@
+/**
+ * Twilio provider - sends MMS through the Programmable Messaging API
+ * TWILIO_API_BASE can point at a local mock server in tests.
+ */
+
+import { ProviderError } from './errors.js';
+
+const DEFAULT_API_BASE = 'https://api.twilio.com';
+
+export function createTwilioProvider(env) {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER } = env;
+
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER) {
+    throw new Error('Twilio credentials not configured');
+  }
+
+  const apiBase = env.TWILIO_API_BASE || DEFAULT_API_BASE;
+
+  return {
+    name: 'twilio',
+
+    async send({ recipient, body, mediaUrl, statusCallback }) {
+      if (!recipient.phoneNumber) {
+        throw new ProviderError('Recipient has no phone number', 400);
+      }
+
+      // Create Basic Auth header for Twilio
+      const auth = btoa(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`);
+      const twilioUrl = `${apiBase}/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`;
+
+      const formData = new URLSearchParams();
+      formData.append('From', TWILIO_PHONE_NUMBER);
+      formData.append('To', recipient.phoneNumber);
+      formData.append('Body', body);
+      formData.append('MediaUrl', mediaUrl);
+      if (statusCallback) {
+        formData.append('StatusCallback', statusCallback);
+      }
+
+      const twilioResponse = await fetch(twilioUrl, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Basic ${auth}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: formData.toString(),
+      });
+
+      if (!twilioResponse.ok) {
+        const errorText = await twilioResponse.text();
+        console.error('Twilio error:', errorText);
+        throw new ProviderError('Twilio rejected the message', twilioResponse.status, errorText);
+      }
+
+      const twilioData = await twilioResponse.json();
+      return { id: twilioData.sid, status: twilioData.status };
+    },
+  };
+}
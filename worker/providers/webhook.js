@@ -0,0 +1,44 @@
+/**
+ * Generic webhook provider - POSTs the message as JSON to MESSAGING_WEBHOOK_URL
+ * The endpoint may answer with { id } to identify the delivered message.
+ */
+
+import { ProviderError } from './errors.js';
+
+export function createWebhookProvider(env) {
+  const { MESSAGING_WEBHOOK_URL, MESSAGING_WEBHOOK_SECRET } = env;
+
+  if (!MESSAGING_WEBHOOK_URL) {
+    throw new Error('MESSAGING_WEBHOOK_URL not configured');
+  }
+
+  return {
+    name: 'webhook',
+
+    async send({ recipient, body, mediaUrl }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (MESSAGING_WEBHOOK_SECRET) {
+        headers['Authorization'] = `Bearer ${MESSAGING_WEBHOOK_SECRET}`;
+      }
+
+      const response = await fetch(MESSAGING_WEBHOOK_URL, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          recipient: { id: recipient.id, name: recipient.name, phoneNumber: recipient.phoneNumber },
+          body,
+          mediaUrl,
+        }),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('Webhook error:', errorText);
+        throw new ProviderError('Webhook rejected the message', response.status, errorText);
+      }
+
+      const data = await response.json().catch(() => ({}));
+      return { id: data.id || crypto.randomUUID(), status: 'sent' };
+    },
+  };
+}
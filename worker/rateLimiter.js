@@ -0,0 +1,131 @@
+/**
+ * Rate limiting for the Worker
+ * Counters live in a Durable Object so they survive isolate restarts and are
+ * shared by every isolate. A missing RATE_LIMITER binding is an error unless
+ * RATE_LIMIT_IN_MEMORY = "true" opts in to a per-isolate, in-memory stand-in
+ * (for local development only).
+ */
+
+// Per-route budgets, keyed by the path's first segment (see getRateLimitRoute);
+// routes not listed here use DEFAULT_RATE_LIMIT
+export const RATE_LIMITS = {
+  '/upload': { limit: 10, window: 60000 },
+  '/sms': { limit: 5, window: 60000 },
+  '/list': { limit: 60, window: 60000 },
+  '/report': { limit: 5, window: 60000 },
+  '/admin': { limit: 120, window: 60000 },
+  // The app polls /send/:id every 2 seconds while a bird is delivered
+  '/send': { limit: 60, window: 60000 },
+};
+export const DEFAULT_RATE_LIMIT = { limit: 20, window: 60000 };
+
+/**
+ * Apply a fixed-window counter to a stored bucket
+ */
+function consume(bucket, now, limit, window) {
+  const current = bucket && now < bucket.resetTime
+    ? bucket
+    : { count: 0, resetTime: now + window };
+
+  const allowed = current.count < limit;
+  const next = allowed ? { ...current, count: current.count + 1 } : current;
+
+  return {
+    bucket: next,
+    result: {
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - next.count),
+      resetTime: next.resetTime,
+    },
+  };
+}
+
+/**
+ * Durable Object holding the counter for a single route + client pair
+ */
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { limit, window } = await request.json();
+    const now = Date.now();
+
+    const stored = await this.state.storage.get('bucket');
+    const { bucket, result } = consume(stored, now, limit, window);
+    await this.state.storage.put('bucket', bucket);
+
+    // Drop the counter once the window is over so idle clients cost nothing
+    if (!stored || stored.resetTime !== bucket.resetTime) {
+      await this.state.storage.setAlarm(bucket.resetTime);
+    }
+
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+}
+
+// Local stand-in used when RATE_LIMIT_IN_MEMORY is set
+const memoryStore = new Map();
+
+function checkMemoryRateLimit(key, limit, window) {
+  const now = Date.now();
+  const { bucket, result } = consume(memoryStore.get(key), now, limit, window);
+  memoryStore.set(key, bucket);
+  return result;
+}
+
+/**
+ * The budget a path counts against: its first segment, so /send/<id> and
+ * /admin/images/<key> share one budget per route rather than one per id
+ */
+export function getRateLimitRoute(path) {
+  return `/${path.split('/')[1] || ''}`;
+}
+
+/**
+ * Check the rate limit for a client on a route (see getRateLimitRoute)
+ */
+export async function checkRateLimit(env, route, ip) {
+  const budget = RATE_LIMITS[route] ? route : 'default';
+  const { limit, window } = RATE_LIMITS[budget] || DEFAULT_RATE_LIMIT;
+  const key = `${budget}:${ip}`;
+
+  if (!env.RATE_LIMITER) {
+    if (env.RATE_LIMIT_IN_MEMORY === 'true') {
+      return checkMemoryRateLimit(key, limit, window);
+    }
+    throw new Error('RATE_LIMITER not configured');
+  }
+
+  const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+  const response = await stub.fetch('https://rate-limiter/check', {
+    method: 'POST',
+    body: JSON.stringify({ limit, window }),
+  });
+  return await response.json();
+}
+
+/**
+ * Build X-RateLimit-* (and Retry-After when blocked) headers for a result
+ */
+export function getRateLimitHeaders(result) {
+  const headers = {
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(result.resetTime / 1000)),
+  };
+
+  if (!result.allowed) {
+    headers['Retry-After'] = String(Math.max(1, Math.ceil((result.resetTime - Date.now()) / 1000)));
+  }
+
+  return headers;
+}
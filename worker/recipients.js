@@ -0,0 +1,54 @@
+/**
+ * Recipient registry backed by D1
+ * Phone numbers never leave the Worker; clients address recipients by opaque ID.
+ */
+
+/**
+ * List recipients that can be shown to clients (ID and name only)
+ */
+export async function listRecipients(env) {
+  if (!env.DB) {
+    throw new Error('DB not configured');
+  }
+
+  const { results } = await env.DB
+    .prepare('SELECT id, name FROM recipients ORDER BY name')
+    .all();
+  return results;
+}
+
+/**
+ * Resolve a recipient ID to its registry entry, or null if unknown
+ */
+export async function getRecipient(env, recipientId) {
+  if (!env.DB) {
+    throw new Error('DB not configured');
+  }
+
+  if (typeof recipientId !== 'string' || !recipientId) {
+    return null;
+  }
+
+  return await env.DB
+    .prepare('SELECT id, name, phone_number AS phoneNumber, email FROM recipients WHERE id = ?')
+    .bind(recipientId)
+    .first();
+}
+
+/**
+ * Find the recipient with a given phone number, or null if unknown
+ */
+export async function getRecipientByPhoneNumber(env, phoneNumber) {
+  if (!env.DB) {
+    throw new Error('DB not configured');
+  }
+
+  if (!phoneNumber) {
+    return null;
+  }
+
+  return await env.DB
+    .prepare('SELECT id, name, phone_number AS phoneNumber, email FROM recipients WHERE phone_number = ?')
+    .bind(phoneNumber)
+    .first();
+}
@@ -0,0 +1,69 @@
+/**
+ * Replies from recipients, stored in D1 against the bird they respond to
+ */
+
+const MAX_REPLY_LENGTH = 1600; // Longest message Twilio will deliver
+const MAX_REPLY_MEDIA = 10; // Twilio attaches at most 10 media items
+
+/**
+ * The MediaUrl0..MediaUrlN fields of an inbound message webhook
+ */
+export function getReplyMediaUrls(params) {
+  const count = Math.min(parseInt(params.NumMedia, 10) || 0, MAX_REPLY_MEDIA);
+  const urls = [];
+  for (let i = 0; i < count; i++) {
+    if (typeof params[`MediaUrl${i}`] === 'string' && params[`MediaUrl${i}`].startsWith('https://')) {
+      urls.push(params[`MediaUrl${i}`]);
+    }
+  }
+  return urls;
+}
+
+/**
+ * Store a reply; redelivered webhooks (same MessageSid) are ignored
+ * Picture-only replies have an empty body and their media URLs.
+ */
+export async function recordReply(env, { messageSid, imageKey, recipientId, body, mediaUrls = [] }) {
+  await env.DB
+    .prepare(
+      `INSERT INTO replies (message_sid, image_key, recipient_id, body, media_urls)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (message_sid) DO NOTHING`
+    )
+    .bind(messageSid, imageKey, recipientId, (body || '').slice(0, MAX_REPLY_LENGTH), JSON.stringify(mediaUrls))
+    .run();
+}
+
+/**
+ * Replies for a set of image keys, oldest first, grouped by image key
+ * Media is reported as a count only: Twilio's media URLs can need account
+ * credentials and aren't meant for a public gallery.
+ */
+export async function getReplies(env, imageKeys) {
+  if (!env.DB || imageKeys.length === 0) {
+    return {};
+  }
+
+  const placeholders = imageKeys.map(() => '?').join(', ');
+  const { results } = await env.DB
+    .prepare(
+      `SELECT replies.image_key, replies.body, replies.media_urls, replies.created_at, recipients.name
+       FROM replies
+       LEFT JOIN recipients ON recipients.id = replies.recipient_id
+       WHERE replies.image_key IN (${placeholders})
+       ORDER BY replies.created_at`
+    )
+    .bind(...imageKeys)
+    .all();
+
+  const replies = {};
+  for (const row of results) {
+    (replies[row.image_key] ||= []).push({
+      From: row.name,
+      Body: row.body,
+      MediaCount: JSON.parse(row.media_urls || '[]').length,
+      ReceivedAt: row.created_at.replace(' ', 'T') + 'Z',
+    });
+  }
+  return replies;
+}
@@ -0,0 +1,87 @@
+/**
+ * Public image reports
+ * Anyone can report a gallery image with a reason code. The first report flags
+ * the image for the admin console; once REPORT_HIDE_THRESHOLD distinct clients
+ * have reported it, it is hidden until an admin reviews it. Clearing the flag
+ * marks its reports reviewed, so only new reports count towards hiding it again.
+ * Reporters are identified by an HMAC of their IP and the image key, keyed
+ * with REPORT_HASH_SECRET: a plain hash of an IPv4 address can be reversed by
+ * trying every address, a keyed one can't without the secret.
+ */
+
+import { hmacSha256Hex } from './crypto.js';
+
+export const REPORT_REASONS = {
+  'not-a-bird': 'Not a bird',
+  'inappropriate': 'Inappropriate or offensive',
+  'personal-info': 'Shows a person or private information',
+  'spam': 'Spam',
+  'other': 'Other',
+};
+
+export const DEFAULT_REPORT_HIDE_THRESHOLD = 3;
+
+/**
+ * Reason codes with their labels, in display order, for GET /report-reasons
+ */
+export function listReportReasons() {
+  return Object.entries(REPORT_REASONS).map(([code, label]) => ({ code, label }));
+}
+
+/**
+ * Number of unreviewed reports from distinct clients that hides an image
+ */
+export function getReportThreshold(env) {
+  const threshold = parseInt(env.REPORT_HIDE_THRESHOLD, 10);
+  return threshold > 0 ? threshold : DEFAULT_REPORT_HIDE_THRESHOLD;
+}
+
+/**
+ * Record a report and flag or hide the image as needed
+ * A client reporting the same image twice only counts once until its report
+ * has been reviewed.
+ * Returns { reports, hidden } for the image's unreviewed reports.
+ */
+export async function recordReport(env, { key, reason, ip }) {
+  if (!env.REPORT_HASH_SECRET) {
+    throw new Error('REPORT_HASH_SECRET not configured');
+  }
+  const reporter = await hmacSha256Hex(env.REPORT_HASH_SECRET, `${ip}:${key}`);
+
+  await env.DB
+    .prepare('INSERT OR IGNORE INTO reports (image_key, reason, reporter) VALUES (?, ?, ?)')
+    .bind(key, reason, reporter)
+    .run();
+
+  const { results } = await env.DB
+    .prepare(
+      `SELECT reason, COUNT(*) AS count FROM reports
+       WHERE image_key = ? AND reviewed = 0
+       GROUP BY reason ORDER BY count DESC, reason`
+    )
+    .bind(key)
+    .all();
+
+  const reports = results.reduce((total, row) => total + row.count, 0);
+  const hidden = reports >= getReportThreshold(env);
+  const flagReason = `${reports} report${reports === 1 ? '' : 's'}: ` +
+    results.map(row => `${row.reason} (${row.count})`).join(', ');
+
+  // Hiding is one-way here; only an admin unhides
+  await env.DB
+    .prepare(`UPDATE images SET flagged = 1, flag_reason = ?${hidden ? ', hidden = 1' : ''} WHERE key = ?`)
+    .bind(flagReason, key)
+    .run();
+
+  return { reports, hidden };
+}
+
+/**
+ * Mark an image's reports as reviewed (called when an admin clears its flag)
+ */
+export async function markReportsReviewed(env, key) {
+  await env.DB
+    .prepare('UPDATE reports SET reviewed = 1 WHERE image_key = ? AND reviewed = 0')
+    .bind(key)
+    .run();
+}
@@ -0,0 +1,133 @@
+/**
+ * Retention policy for stored birds
+ * Runs from the Cron Trigger (see `scheduled` in index.js). Unpinned images are
+ * deleted oldest first until every rule holds: no image older than the max
+ * age, no more than the max count, no more than the max bytes. Pinned images
+ * are never deleted but still count towards the limits. Every deletion (or, in
+ * dry-run mode, every deletion that would have happened) goes to retention_log.
+ */
+
+import { deleteImages } from './imageIndex.js';
+
+export const DEFAULT_MAX_COUNT = 500;
+export const DEFAULT_MAX_BYTES = 7.5 * 1024 * 1024 * 1024; // 7.5GB, under the 9GB upload cap
+
+// R2 deletes up to 1000 keys per call, and each image also has thumbnails
+const DELETE_BATCH_SIZE = 100;
+
+function parseLimit(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit > 0 ? limit : fallback;
+}
+
+/**
+ * Read the policy from RETENTION_* variables
+ * RETENTION_MAX_AGE_DAYS is off unless set; count and bytes have defaults.
+ */
+export function getRetentionPolicy(env) {
+  return {
+    maxAgeDays: parseLimit(env.RETENTION_MAX_AGE_DAYS, null),
+    maxCount: parseLimit(env.RETENTION_MAX_COUNT, DEFAULT_MAX_COUNT),
+    maxBytes: parseLimit(env.RETENTION_MAX_BYTES, DEFAULT_MAX_BYTES),
+    dryRun: env.RETENTION_DRY_RUN === 'true',
+  };
+}
+
+/**
+ * Decide which images to delete
+ * `images` are index rows ({ key, uploaded_at, size, thumbnail_bytes, pinned }).
+ * The bytes rule counts each image's thumbnails as well as its original.
+ * Returns { deletions: [{ key, size, thumbnailBytes, uploadedAt, reason }],
+ * remainingCount, remainingBytes }.
+ */
+export function planRetention(images, policy, now = Date.now()) {
+  const candidates = images
+    .filter(image => !image.pinned)
+    .sort((a, b) => a.uploaded_at - b.uploaded_at || (a.key < b.key ? -1 : 1));
+  const storedBytes = image => image.size + (image.thumbnail_bytes ?? 0);
+
+  let remainingCount = images.length;
+  let remainingBytes = images.reduce((sum, image) => sum + storedBytes(image), 0);
+  const deletions = [];
+
+  const remove = (image, reason) => {
+    deletions.push({
+      key: image.key,
+      size: image.size,
+      thumbnailBytes: image.thumbnail_bytes ?? 0,
+      uploadedAt: image.uploaded_at,
+      reason,
+    });
+    remainingCount--;
+    remainingBytes -= storedBytes(image);
+  };
+
+  const cutoff = policy.maxAgeDays ? now - policy.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+  for (const image of candidates) {
+    let reason = null;
+    if (cutoff !== null && image.uploaded_at < cutoff) {
+      reason = 'max-age';
+    } else if (remainingCount > policy.maxCount) {
+      reason = 'max-count';
+    } else if (remainingBytes > policy.maxBytes) {
+      reason = 'max-bytes';
+    }
+
+    // Oldest first, so once one image is kept every newer one is too
+    if (!reason) {
+      break;
+    }
+    remove(image, reason);
+  }
+
+  return { deletions, remainingCount, remainingBytes };
+}
+
+/**
+ * Apply the retention policy and record what was deleted
+ * Pass { dryRun: true } to only report; otherwise the policy's dryRun applies.
+ */
+export async function runRetention(env, options = {}) {
+  const policy = { ...getRetentionPolicy(env), ...options };
+  const runId = crypto.randomUUID();
+
+  const { results } = await env.DB
+    .prepare('SELECT key, uploaded_at, size, thumbnail_bytes, pinned FROM images')
+    .all();
+  const plan = planRetention(results, policy);
+
+  // Log each batch before deleting it, so a run that fails part way through
+  // still leaves a record of every image it removed
+  for (let i = 0; i < plan.deletions.length; i += DELETE_BATCH_SIZE) {
+    const batch = plan.deletions.slice(i, i + DELETE_BATCH_SIZE);
+    await env.DB.batch(batch.map(deletion =>
+      env.DB
+        .prepare(
+          `INSERT INTO retention_log (run_id, image_key, reason, size, uploaded_at, dry_run)
+           VALUES (?, ?, ?, ?, ?, ?)`
+        )
+        .bind(runId, deletion.key, deletion.reason, deletion.size, deletion.uploadedAt, policy.dryRun ? 1 : 0)
+    ));
+    if (!policy.dryRun) {
+      await deleteImages(env, batch.map(deletion => deletion.key));
+    }
+  }
+
+  const report = {
+    runId,
+    dryRun: policy.dryRun,
+    policy: { maxAgeDays: policy.maxAgeDays, maxCount: policy.maxCount, maxBytes: policy.maxBytes },
+    deleted: plan.deletions,
+    remainingCount: plan.remainingCount,
+    remainingBytes: plan.remainingBytes,
+  };
+  console.log(
+    `Retention run ${runId}${policy.dryRun ? ' (dry run)' : ''}: ` +
+    `${plan.deletions.length} image(s) ${policy.dryRun ? 'would be deleted' : 'deleted'}, ` +
+    `${plan.remainingCount} image(s) / ${plan.remainingBytes} bytes remaining`
+  );
+  return report;
+}
@@ -0,0 +1,40 @@
+/**
+ * Server-side content safety screen
+ * The app texts a real person, so besides "is it a bird?" every image is
+ * screened for nudity, sexual content and gore. There is no policy setting:
+ * anything this screen flags, or that the browser's NSFW model flagged, is
+ * held for moderation, whatever BIRD_CHECK_POLICY says. Images that couldn't
+ * be screened are held too.
+ */
+
+import { getImageClassifier } from './classifiers/index.js';
+
+/**
+ * Screen an image ({ bytes, mime }, see screening.js)
+ * Returns { verdict: 'safe' | 'unsafe' | 'error', label, score }.
+ */
+export async function checkSafety(env, input) {
+  try {
+    const { unsafe, label, score } = await getImageClassifier(env).screen(input.bytes, input.mime);
+    return { verdict: unsafe ? 'unsafe' : 'safe', label: label ?? null, score: score ?? null };
+  } catch (error) {
+    console.error('Error screening image:', error);
+    return { verdict: 'error', label: null, score: null };
+  }
+}
+
+/**
+ * Whether a safety verdict lets an image be sent without review
+ */
+export function isSafe(verdict) {
+  return verdict === 'safe' || verdict === 'approved';
+}
+
+/**
+ * Flag reason shown in the admin console for a held image
+ */
+export function describeSafetyCheck(result) {
+  return result.verdict === 'error'
+    ? 'Safety check failed'
+    : `Safety check: ${result.label || 'flagged'}`;
+}
@@ -0,0 +1,134 @@
+/**
+ * Screening every image goes through before it can be sent
+ * Runs the bird check (birdCheck.js) and the safety screen (safetyCheck.js)
+ * on the same classifier input, folds in the browser's own NSFW flag, and
+ * decides whether to send, block or hold the image for moderation.
+ * Classifiers only ever see a small JPEG made from the decoded pixels. Images
+ * the Worker can't decode (GIF, BMP, over MAX_DECODE_PIXELS, corrupt) are not
+ * classified at all but held, since passing the raw upload (up to 10MB) to
+ * Workers AI could run the isolate out of memory.
+ */
+
+import { checkForBird, decideBirdCheck, describeBirdCheck } from './birdCheck.js';
+import { checkSafety, describeSafetyCheck, isSafe } from './safetyCheck.js';
+import { decodeImage, encodeJpegPreview } from './thumbnails.js';
+
+// Decoded images are sent to the classifiers as a JPEG this wide at most
+const CLASSIFIER_INPUT_WIDTH = 512;
+
+const UNSCREENED_REASON = 'Not screened: the image could not be decoded';
+
+/**
+ * The classifier input for decoded pixels, or null when there are none
+ */
+async function getClassifierInput(pixels) {
+  if (!pixels) {
+    return null;
+  }
+  try {
+    return { bytes: await encodeJpegPreview(pixels, CLASSIFIER_INPUT_WIDTH), mime: 'image/jpeg' };
+  } catch (error) {
+    console.error('Error encoding classifier input:', error);
+    return null;
+  }
+}
+
+// unscreenedReason replaces the check descriptions when the classifiers never ran
+function decide(env, birdCheck, safetyCheck, clientFlag, unscreenedReason = null) {
+  const reasons = unscreenedReason ? [unscreenedReason] : [];
+  if (!unscreenedReason && !isSafe(safetyCheck.verdict)) {
+    reasons.push(describeSafetyCheck(safetyCheck));
+  }
+  if (clientFlag) {
+    reasons.push(`Flagged in the browser: ${clientFlag}`);
+  }
+
+  const birdDecision = decideBirdCheck(env, birdCheck.verdict);
+  if (!unscreenedReason && birdDecision !== 'send') {
+    reasons.push(describeBirdCheck(birdCheck));
+  }
+
+  return {
+    decision: birdDecision === 'block' ? 'block' : reasons.length > 0 ? 'hold' : 'send',
+    birdCheck,
+    safetyCheck,
+    flagReason: reasons.length > 0 ? reasons.join('; ') : null,
+  };
+}
+
+/**
+ * Screen an upload given its decoded pixels (null if it couldn't be decoded)
+ * clientFlag is the label the browser's NSFW model flagged it with, if any.
+ * Returns { decision: 'send' | 'block' | 'hold', birdCheck, safetyCheck, flagReason }.
+ */
+export async function screenImage(env, { pixels, clientFlag }) {
+  const input = await getClassifierInput(pixels);
+  if (!input) {
+    const unscreened = { verdict: 'error', label: null, score: null };
+    return decide(env, unscreened, unscreened, clientFlag, UNSCREENED_REASON);
+  }
+
+  const [birdCheck, safetyCheck] = await Promise.all([checkForBird(env, input), checkSafety(env, input)]);
+  return decide(env, birdCheck, safetyCheck, clientFlag);
+}
+
+/**
+ * Store screening results on an image's index row
+ */
+export async function recordScreening(env, key, { birdCheck, safetyCheck }) {
+  await env.DB
+    .prepare(
+      `UPDATE images SET bird_check = ?, bird_label = ?, bird_score = ?, safety_check = ?, safety_label = ?
+       WHERE key = ?`
+    )
+    .bind(birdCheck.verdict, birdCheck.label, birdCheck.score, safetyCheck.verdict, safetyCheck.label, key)
+    .run();
+}
+
+/**
+ * Screening decision for an indexed image, screening it now if it never was
+ * (images uploaded before the checks existed)
+ */
+export async function screenIndexedImage(env, row) {
+  if (row.bird_check && row.safety_check) {
+    return decide(
+      env,
+      { verdict: row.bird_check, label: row.bird_label, score: row.bird_score },
+      { verdict: row.safety_check, label: row.safety_label, score: null },
+      null
+    );
+  }
+
+  const object = await env.R2_BUCKET.get(row.key);
+  if (!object) {
+    const missing = { verdict: 'error', label: null, score: null };
+    return decide(env, missing, missing, null);
+  }
+
+  const bytes = new Uint8Array(await object.arrayBuffer());
+  let pixels = null;
+  try {
+    pixels = await decodeImage(bytes, row.content_type);
+  } catch (error) {
+    console.error('Error decoding image:', error);
+  }
+
+  const result = await screenImage(env, { pixels });
+  await recordScreening(env, row.key, result);
+  return result;
+}
+
+/**
+ * Mark an image's failed checks as approved by an admin
+ */
+export async function approveScreening(env, key) {
+  await env.DB
+    .prepare(
+      `UPDATE images SET
+         bird_check = CASE WHEN bird_check IN ('not-bird', 'error') THEN 'approved' ELSE bird_check END,
+         safety_check = CASE WHEN safety_check IN ('unsafe', 'error') THEN 'approved' ELSE safety_check END
+       WHERE key = ?`
+    )
+    .bind(key)
+    .run();
+}
@@ -0,0 +1,269 @@
+/**
+ * Asynchronous send queue for outgoing bird messages
+ * /upload records a job in D1 and enqueues its ID on SEND_QUEUE; the queue
+ * consumer delivers it through the messaging provider, retrying with
+ * exponential backoff. Jobs that keep failing are marked 'dead' and their
+ * image is removed from R2 so nothing is left orphaned.
+ */
+
+import { getRecipient } from './recipients.js';
+import { getMessagingProvider, ProviderError } from './providers/index.js';
+import { recordMessage } from './ledger.js';
+import { deleteImages } from './imageIndex.js';
+import { MESSAGE_URL_TTL, signImageUrl } from './signedUrls.js';
+import { decodeCursor, encodeCursor } from './cursor.js';
+
+export const MAX_SEND_ATTEMPTS = 5;
+export const MAX_HISTORY_PAGE_SIZE = 100;
+const RETRY_BASE_DELAY = 30; // seconds
+const RETRY_MAX_DELAY = 15 * 60; // seconds
+
+/**
+ * Delay before the next attempt: 30s, 60s, 120s, ... capped at 15 minutes
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+}
+
+/**
+ * Provider errors for bad input (4xx other than 429) will never succeed on retry
+ */
+function isPermanentFailure(error) {
+  return error instanceof ProviderError &&
+    error.status >= 400 && error.status < 500 && error.status !== 429;
+}
+
+async function updateJob(env, id, fields) {
+  const columns = Object.keys(fields);
+  const assignments = columns.map(column => `${column} = ?`).join(', ');
+  await env.DB
+    .prepare(`UPDATE send_jobs SET ${assignments}, updated_at = datetime('now') WHERE id = ?`)
+    .bind(...columns.map(column => fields[column]), id)
+    .run();
+}
+
+/**
+ * Record a send job and put it on the queue
+ * Held jobs (images awaiting moderation) are only recorded; releaseHeldSends
+ * queues them once the image is approved. If the queue refuses the message the
+ * job is marked 'dead' (the caller removes the image) and the error rethrown.
+ */
+export async function enqueueSend(env, { imageKey, recipientId, message, mediaUrl, held = false }) {
+  if (!env.DB) {
+    throw new Error('DB not configured');
+  }
+  if (!env.SEND_QUEUE) {
+    throw new Error('SEND_QUEUE not configured');
+  }
+
+  const id = crypto.randomUUID();
+  await env.DB
+    .prepare('INSERT INTO send_jobs (id, image_key, recipient_id, message, media_url, status) VALUES (?, ?, ?, ?, ?, ?)')
+    .bind(id, imageKey, recipientId, message, mediaUrl, held ? 'held' : 'queued')
+    .run();
+
+  if (!held) {
+    try {
+      await env.SEND_QUEUE.send({ jobId: id });
+    } catch (error) {
+      await updateJob(env, id, { status: 'dead', last_error: `Failed to queue: ${error.message}` });
+      throw error;
+    }
+  }
+  return id;
+}
+
+/**
+ * Queue an image's held send jobs; returns how many were released
+ */
+export async function releaseHeldSends(env, imageKey) {
+  const { results } = await env.DB
+    .prepare("SELECT id FROM send_jobs WHERE image_key = ? AND status = 'held'")
+    .bind(imageKey)
+    .all();
+
+  for (const { id } of results) {
+    await updateJob(env, id, { status: 'queued' });
+    try {
+      await env.SEND_QUEUE.send({ jobId: id });
+    } catch (error) {
+      // Keep it held so releasing the image again retries it
+      await updateJob(env, id, { status: 'held' });
+      throw error;
+    }
+  }
+  return results.length;
+}
+
+/**
+ * Dead-letter an image's held send jobs, e.g. when a moderator deletes it
+ */
+export async function cancelHeldSends(env, imageKey, reason) {
+  await env.DB
+    .prepare("UPDATE send_jobs SET status = 'dead', last_error = ?, updated_at = datetime('now') WHERE image_key = ? AND status = 'held'")
+    .bind(reason, imageKey)
+    .run();
+}
+
+/**
+ * Public view of a send job's delivery state, or null if unknown
+ */
+export async function getSendJob(env, id) {
+  if (!env.DB) {
+    throw new Error('DB not configured');
+  }
+
+  const job = await env.DB
+    .prepare('SELECT id, image_key, status, attempts, message_sid, last_error, updated_at FROM send_jobs WHERE id = ?')
+    .bind(id)
+    .first();
+
+  if (!job) {
+    return null;
+  }
+
+  return {
+    id: job.id,
+    imageKey: job.image_key,
+    status: job.status,
+    attempts: job.attempts,
+    messageSid: job.message_sid,
+    error: job.status === 'dead' ? job.last_error : undefined,
+    updatedAt: job.updated_at,
+  };
+}
+
+/**
+ * Send history for the admin console, newest first
+ * Includes the recipient's name and the delivery status reported by the
+ * provider, but never phone numbers. Returns { sends, cursor }.
+ */
+export async function listSendJobs(env, { limit = 50, cursor } = {}) {
+  if (!env.DB) {
+    throw new Error('DB not configured');
+  }
+
+  const [createdAt, id] = (cursor && decodeCursor(cursor)) || [];
+  const after = typeof createdAt === 'string' && typeof id === 'string';
+  const pageSize = Math.min(Math.max(1, limit), MAX_HISTORY_PAGE_SIZE);
+
+  const { results } = await env.DB
+    .prepare(
+      `SELECT j.id, j.image_key, j.recipient_id, r.name AS recipient_name, j.message, j.status,
+              j.attempts, j.last_error, j.created_at, j.updated_at, m.status AS delivery_status
+       FROM send_jobs j
+       LEFT JOIN recipients r ON r.id = j.recipient_id
+       LEFT JOIN messages m ON m.message_sid = j.message_sid
+       ${after ? 'WHERE (j.created_at < ? OR (j.created_at = ? AND j.id < ?))' : ''}
+       ORDER BY j.created_at DESC, j.id DESC
+       LIMIT ?`
+    )
+    .bind(...(after ? [createdAt, createdAt, id] : []), pageSize + 1)
+    .all();
+
+  const page = results.slice(0, pageSize);
+  const last = page[page.length - 1];
+  return {
+    sends: page.map(job => ({
+      id: job.id,
+      imageKey: job.image_key,
+      recipientId: job.recipient_id,
+      recipientName: job.recipient_name,
+      message: job.message,
+      status: job.status,
+      deliveryStatus: job.delivery_status,
+      attempts: job.attempts,
+      error: job.last_error,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at,
+    })),
+    cursor: results.length > pageSize ? encodeCursor([last.created_at, last.id]) : null,
+  };
+}
+
+/**
+ * Deliver a single job; returns true when the queue message can be acked
+ */
+async function processJob(env, jobId, attempt) {
+  const job = await env.DB
+    .prepare('SELECT * FROM send_jobs WHERE id = ?')
+    .bind(jobId)
+    .first();
+
+  // Unknown, held or already finished jobs (e.g. redelivered messages) are dropped
+  if (!job || job.status === 'sent' || job.status === 'dead' || job.status === 'held') {
+    return true;
+  }
+
+  await updateJob(env, jobId, { status: 'sending', attempts: attempt });
+
+  try {
+    const recipient = await getRecipient(env, job.recipient_id);
+    if (!recipient) {
+      throw new ProviderError('Unknown recipient', 403);
+    }
+
+    const provider = getMessagingProvider(env);
+    const result = await provider.send({
+      recipient,
+      body: job.message,
+      mediaUrl: await signImageUrl(env, new URL(job.media_url).origin, job.image_key, MESSAGE_URL_TTL),
+      statusCallback: new URL('/twilio/status', job.media_url).toString(),
+    });
+
+    await updateJob(env, jobId, { status: 'sent', message_sid: result.id, last_error: null });
+
+    try {
+      await recordMessage(env, {
+        imageKey: job.image_key,
+        messageSid: result.id,
+        recipientId: recipient.id,
+        provider: provider.name,
+        status: result.status,
+      });
+    } catch (ledgerError) {
+      console.error(`Error recording message for ${job.image_key}:`, ledgerError);
+    }
+    return true;
+  } catch (error) {
+    const details = error.details || error.message;
+    console.error(`Send job ${jobId} attempt ${attempt} failed:`, details);
+
+    if (attempt >= MAX_SEND_ATTEMPTS || isPermanentFailure(error)) {
+      await updateJob(env, jobId, { status: 'dead', last_error: String(details) });
+
+      // Don't leave an image in the gallery that was never delivered
+      try {
+        await deleteImages(env, [job.image_key]);
+      } catch (deleteError) {
+        console.error(`Error deleting undelivered image ${job.image_key}:`, deleteError);
+      }
+      return true;
+    }
+
+    await updateJob(env, jobId, { status: 'retrying', last_error: String(details) });
+    return false;
+  }
+}
+
+/**
+ * Queue consumer for SEND_QUEUE
+ */
+export async function handleSendQueue(batch, env) {
+  for (const message of batch.messages) {
+    const { jobId } = message.body || {};
+
+    try {
+      const done = await processJob(env, jobId, message.attempts);
+      if (done) {
+        message.ack();
+      } else {
+        message.retry({ delaySeconds: getRetryDelay(message.attempts) });
+      }
+    } catch (error) {
+      // Infrastructure errors (D1 unavailable etc.) - try again later
+      console.error(`Error processing send job ${jobId}:`, error);
+      message.retry({ delaySeconds: getRetryDelay(message.attempts) });
+    }
+  }
+}
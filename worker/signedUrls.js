@@ -0,0 +1,83 @@
+/**
+ * Signed, expiring /image URLs
+ * A signature is HMAC-SHA256 over "<key>:<exp>" keyed with IMAGE_SIGNING_SECRET,
+ * carried as ?exp=<unix seconds>&sig=<base64url>. Messaging providers always
+ * get signed URLs; GALLERY_ACCESS = "signed" makes /image require them too.
+ */
+
+import { timingSafeEqual } from './crypto.js';
+
+// How long links handed to messaging providers stay valid
+export const MESSAGE_URL_TTL = 7 * 24 * 60 * 60;
+// How long gallery links from /list and /bird stay valid
+export const GALLERY_URL_TTL = 60 * 60;
+
+/**
+ * Whether /image requires a valid signature
+ */
+export function requiresSignedImages(env) {
+  return env.GALLERY_ACCESS === 'signed';
+}
+
+async function computeSignature(secret, key, exp) {
+  const hmacKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', hmacKey, new TextEncoder().encode(`${key}:${exp}`));
+  return btoa(String.fromCharCode(...new Uint8Array(signature)))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Build the /image URL for a key, signed when a secret is configured
+ * Expiry is rounded up to a multiple of the TTL so repeated calls return the
+ * same URL (and browsers can cache it) for a while.
+ */
+export async function signImageUrl(env, origin, key, ttl) {
+  const url = new URL(`/image/${key}`, origin);
+
+  if (!env.IMAGE_SIGNING_SECRET) {
+    if (requiresSignedImages(env)) {
+      throw new Error('IMAGE_SIGNING_SECRET not configured');
+    }
+    return url.toString();
+  }
+
+  const exp = Math.ceil((Date.now() / 1000 + ttl) / ttl) * ttl;
+  url.searchParams.set('exp', String(exp));
+  url.searchParams.set('sig', await computeSignature(env.IMAGE_SIGNING_SECRET, key, exp));
+  return url.toString();
+}
+
+/**
+ * URL for showing an image in the gallery: signed (for GALLERY_URL_TTL) only
+ * when the gallery requires signatures, so public links stay stable
+ */
+export async function galleryImageUrl(env, origin, key) {
+  if (requiresSignedImages(env)) {
+    return await signImageUrl(env, origin, key, GALLERY_URL_TTL);
+  }
+  return new URL(`/image/${key}`, origin).toString();
+}
+
+/**
+ * Check an image request's exp/sig parameters for a key
+ */
+export async function verifyImageSignature(env, key, searchParams) {
+  if (!env.IMAGE_SIGNING_SECRET) {
+    throw new Error('IMAGE_SIGNING_SECRET not configured');
+  }
+
+  const exp = parseInt(searchParams.get('exp'), 10);
+  const sig = searchParams.get('sig');
+  if (!sig || !Number.isFinite(exp) || exp * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = await computeSignature(env.IMAGE_SIGNING_SECRET, key, exp);
+  return timingSafeEqual(sig, expected);
+}
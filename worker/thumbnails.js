@@ -0,0 +1,224 @@
+/**
+ * Thumbnails and responsive variants
+ * Smaller copies of each upload are generated in the Worker with WASM codecs
+ * (jSquash) and stored next to the original under THUMBNAIL_PREFIX, so the
+ * gallery never has to download a full-size photo to draw a small square.
+ */
+
+import decodeJpeg, { init as initJpegDecode } from '@jsquash/jpeg/decode';
+import encodeJpeg, { init as initJpegEncode } from '@jsquash/jpeg/encode';
+import decodePng, { init as initPngDecode } from '@jsquash/png/decode';
+import decodeWebp, { init as initWebpDecode } from '@jsquash/webp/decode';
+import encodeWebp, { init as initWebpEncode } from '@jsquash/webp/encode';
+import resize, { initResize } from '@jsquash/resize';
+import JPEG_DEC_WASM from '@jsquash/jpeg/codec/dec/mozjpeg_dec.wasm';
+import JPEG_ENC_WASM from '@jsquash/jpeg/codec/enc/mozjpeg_enc.wasm';
+import PNG_WASM from '@jsquash/png/codec/pkg/squoosh_png_bg.wasm';
+import WEBP_DEC_WASM from '@jsquash/webp/codec/dec/webp_dec.wasm';
+import WEBP_ENC_WASM from '@jsquash/webp/codec/enc/webp_enc_simd.wasm';
+import RESIZE_WASM from '@jsquash/resize/lib/resize/pkg/squoosh_resize_bg.wasm';
+import { putObject } from './usage.js';
+
+// Widths generated for every upload; the gallery's srcset uses the same list
+export const THUMBNAIL_WIDTHS = [320, 640, 1024];
+export const THUMBNAIL_PREFIX = 'thumbnails/';
+
+const THUMBNAIL_FORMATS = {
+  webp: { mime: 'image/webp', encode: data => encodeWebp(data, { quality: 75 }) },
+  jpg: { mime: 'image/jpeg', encode: data => encodeJpeg(data, { quality: 75 }) },
+};
+
+// Only these types can be decoded; anything else is always served full size
+const DECODERS = {
+  'image/jpeg': bytes => decodeJpeg(bytes, { preserveOrientation: true }),
+  'image/png': bytes => decodePng(bytes),
+  'image/webp': bytes => decodeWebp(bytes),
+};
+
+// Largest image decoded in the Worker. Decoded RGBA takes 4 bytes a pixel,
+// and the codec's WASM heap holds a second copy, so this keeps a decode well
+// under the 128MB isolate limit. The app uploads at most 1200px wide, so only
+// large direct uploads go without a perceptual hash and thumbnails.
+export const MAX_DECODE_PIXELS = 8 * 1000 * 1000;
+
+function readUint24LE(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+}
+
+// Width and height from a JPEG's start-of-frame segment
+function readJpegDimensions(bytes) {
+  let pos = 2;
+  while (pos + 9 < bytes.length && bytes[pos] === 0xff) {
+    const marker = bytes[pos + 1];
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+    if (isFrame) {
+      return {
+        height: (bytes[pos + 5] << 8) | bytes[pos + 6],
+        width: (bytes[pos + 7] << 8) | bytes[pos + 8],
+      };
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) {
+      pos += marker === 0xff ? 1 : 2;
+      continue;
+    }
+    pos += 2 + ((bytes[pos + 2] << 8) | bytes[pos + 3]);
+  }
+  return null;
+}
+
+// Width and height from a PNG's IHDR chunk
+function readPngDimensions(bytes) {
+  if (bytes.length < 24) {
+    return null;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  return { width: view.getUint32(16), height: view.getUint32(20) };
+}
+
+// Width and height from a WebP's first chunk (lossy, lossless or extended)
+function readWebpDimensions(bytes) {
+  const chunk = String.fromCharCode(...bytes.subarray(12, 16));
+  if (chunk === 'VP8 ' && bytes.length >= 30) {
+    return { width: (bytes[26] | (bytes[27] << 8)) & 0x3fff, height: (bytes[28] | (bytes[29] << 8)) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && bytes.length >= 25) {
+    const bits = bytes[21] | (bytes[22] << 8) | (bytes[23] << 16) | (bytes[24] << 24);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && bytes.length >= 30) {
+    return { width: readUint24LE(bytes, 24) + 1, height: readUint24LE(bytes, 27) + 1 };
+  }
+  return null;
+}
+
+/**
+ * An image's { width, height } read from its header without decoding it, or
+ * null when the header can't be read
+ */
+export function readImageDimensions(bytes, mime) {
+  switch (mime) {
+    case 'image/jpeg':
+      return readJpegDimensions(bytes);
+    case 'image/png':
+      return readPngDimensions(bytes);
+    case 'image/webp':
+      return readWebpDimensions(bytes);
+    default:
+      return null;
+  }
+}
+
+// WASM modules are compiled at deploy time; instantiate them once per isolate
+let codecsReady;
+function initCodecs() {
+  if (!codecsReady) {
+    codecsReady = Promise.all([
+      initJpegDecode(JPEG_DEC_WASM),
+      initJpegEncode(JPEG_ENC_WASM),
+      initPngDecode(PNG_WASM),
+      initWebpDecode(WEBP_DEC_WASM),
+      initWebpEncode(WEBP_ENC_WASM),
+      initResize(RESIZE_WASM),
+    ]);
+  }
+  return codecsReady;
+}
+
+/**
+ * R2 key of one variant of an image, e.g. thumbnails/bird-123.jpg/320.webp
+ */
+export function getThumbnailKey(key, width, format) {
+  return `${THUMBNAIL_PREFIX}${key}/${width}.${format}`;
+}
+
+/**
+ * Every variant key an image could have (they only exist when smaller than the original)
+ */
+export function getThumbnailKeys(key) {
+  return THUMBNAIL_WIDTHS.flatMap(width =>
+    Object.keys(THUMBNAIL_FORMATS).map(format => getThumbnailKey(key, width, format))
+  );
+}
+
+/**
+ * The original image's key for a variant key, or null for originals
+ */
+export function getThumbnailSourceKey(key) {
+  if (!key.startsWith(THUMBNAIL_PREFIX)) {
+    return null;
+  }
+  return key.slice(THUMBNAIL_PREFIX.length, key.lastIndexOf('/'));
+}
+
+/**
+ * Pick the variant to serve for a requested width: the smallest one at least
+ * that wide, WebP when the client accepts it. Returns null for the original.
+ * `widths` are the widths generated for the image, when known.
+ */
+export function selectThumbnail(key, requestedWidth, accept, widths = THUMBNAIL_WIDTHS) {
+  const width = [...widths].sort((a, b) => a - b).find(w => w >= requestedWidth);
+  if (!width) {
+    return null;
+  }
+
+  const format = (accept || '').includes('image/webp') ? 'webp' : 'jpg';
+  return { key: getThumbnailKey(key, width, format), mime: THUMBNAIL_FORMATS[format].mime };
+}
+
+/**
+ * Decode an upload to RGBA pixels ({ data, width, height }), or null for
+ * types there is no decoder for and images larger than MAX_DECODE_PIXELS
+ * (or whose size can't be read from the header)
+ */
+export async function decodeImage(bytes, mime) {
+  const decode = DECODERS[mime];
+  if (!decode) {
+    return null;
+  }
+
+  const dimensions = readImageDimensions(bytes, mime);
+  if (!dimensions || dimensions.width * dimensions.height > MAX_DECODE_PIXELS) {
+    return null;
+  }
+
+  await initCodecs();
+  return await decode(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+}
+
+/**
+ * Encode a decoded image as a JPEG at most maxWidth wide, e.g. as classifier input
+ */
+export async function encodeJpegPreview(source, maxWidth) {
+  await initCodecs();
+  const width = Math.min(maxWidth, source.width);
+  const height = Math.max(1, Math.round((source.height * width) / source.width));
+  const resized = width < source.width ? await resize(source, { width, height }) : source;
+  return new Uint8Array(await encodeJpeg(resized, { quality: 85 }));
+}
+
+/**
+ * Generate and store every variant of a decoded image narrower than the original
+ * Returns { widths, width, bytes, objects }: the widths written, the original's
+ * width, and the total size and number of objects stored.
+ */
+export async function generateThumbnails(env, key, source) {
+  await initCodecs();
+  const widths = THUMBNAIL_WIDTHS.filter(width => width < source.width);
+  let bytes = 0;
+  let objects = 0;
+
+  for (const width of widths) {
+    const height = Math.max(1, Math.round((source.height * width) / source.width));
+    const resized = await resize(source, { width, height });
+
+    for (const [format, { mime: variantMime, encode }] of Object.entries(THUMBNAIL_FORMATS)) {
+      const object = await putObject(env, getThumbnailKey(key, width, format), await encode(resized), {
+        httpMetadata: { contentType: variantMime },
+      });
+      bytes += object.size;
+      objects++;
+    }
+  }
+
+  return { widths, width: source.width, bytes, objects };
+}
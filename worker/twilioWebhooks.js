@@ -0,0 +1,50 @@
+/**
+ * Twilio webhook support
+ * Twilio signs each webhook with HMAC-SHA1 over the full URL followed by the
+ * sorted POST parameters (key + value), keyed with the account's auth token.
+ */
+
+import { timingSafeEqual } from './crypto.js';
+
+/**
+ * Compute the expected X-Twilio-Signature for a URL and form parameters
+ */
+async function computeTwilioSignature(authToken, url, params) {
+  const payload = Object.keys(params)
+    .sort()
+    .reduce((data, key) => data + key + params[key], url);
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(authToken),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+  return btoa(String.fromCharCode(...new Uint8Array(signature)));
+}
+
+/**
+ * Parse a Twilio webhook and verify its signature
+ * Returns the form parameters, or null if the signature doesn't match.
+ */
+export async function readTwilioWebhook(request, env) {
+  if (!env.TWILIO_AUTH_TOKEN) {
+    throw new Error('Twilio credentials not configured');
+  }
+
+  const signature = request.headers.get('X-Twilio-Signature');
+  if (!signature) {
+    return null;
+  }
+
+  const formData = await request.formData();
+  const params = {};
+  for (const [key, value] of formData.entries()) {
+    params[key] = value;
+  }
+
+  const expected = await computeTwilioSignature(env.TWILIO_AUTH_TOKEN, request.url, params);
+  return timingSafeEqual(signature, expected) ? params : null;
+}
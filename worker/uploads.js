@@ -0,0 +1,296 @@
+/**
+ * Upload body parsing for /upload
+ * Accepts three request shapes:
+ * - multipart/form-data with a `file` field (plus fileName, recipientId, message)
+ * - raw PUT body, with fileName/recipientId/message in the query string
+ * - legacy JSON with base64 `fileData` (kept for older clients)
+ * Raw PUT bodies are read with the size enforced as the bytes flow, so oversized
+ * uploads are cut off early. Multipart and JSON bodies are parsed whole by the
+ * runtime, so they must declare a Content-Length within MAX_REQUEST_SIZE first.
+ * Either way the file ends up in memory (at most MAX_FILE_SIZE) so its metadata
+ * can be stripped before it is stored.
+ */
+
+import { SIGNATURE_LENGTH } from './imageTypes.js';
+
+export const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB max file size
+export const MAX_REQUEST_SIZE = 15 * 1024 * 1024; // 15MB max request size (base64 is ~33% larger)
+
+const FILE_TOO_LARGE = `File too large. Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB`;
+
+/**
+ * Raised for uploads that should be rejected with a client error
+ */
+export class UploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
+
+/**
+ * Parse a Content-Length header, which must be a plain non-negative integer
+ */
+function parseContentLength(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new UploadError(400, 'Invalid Content-Length');
+  }
+  return Number(value);
+}
+
+/**
+ * Pass a stream through unchanged, erroring once more than maxBytes have flowed
+ */
+function limitStream(maxBytes) {
+  let received = 0;
+  return new TransformStream({
+    transform(chunk, controller) {
+      received += chunk.byteLength;
+      if (received > maxBytes) {
+        controller.error(new UploadError(413, FILE_TOO_LARGE));
+        return;
+      }
+      controller.enqueue(chunk);
+    },
+  });
+}
+
+/**
+ * The browser's NSFW label for a flagged image, e.g. "Porn"; anything else is dropped
+ */
+function normalizeContentFlag(value) {
+  return typeof value === 'string' && /^[A-Za-z][A-Za-z -]{0,39}$/.test(value) ? value : undefined;
+}
+
+// Optional capture details accepted alongside the file (see captureDetails.js)
+const CAPTURE_FIELDS = ['capturedAt', 'latitude', 'longitude', 'note', 'includeDetails'];
+
+function pickCaptureFields(get) {
+  const fields = {};
+  for (const name of CAPTURE_FIELDS) {
+    const value = get(name);
+    if (value !== null && value !== undefined) {
+      fields[name] = value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Read the first `length` bytes of a stream without consuming them
+ * Returns the bytes and a stream that replays them followed by the rest.
+ */
+async function peekStream(stream, length) {
+  const reader = stream.getReader();
+  const chunks = [];
+  let received = 0;
+
+  while (received < length) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    received += value.byteLength;
+  }
+
+  const head = new Uint8Array(Math.min(received, length));
+  let offset = 0;
+  for (const chunk of chunks) {
+    if (offset >= head.length) {
+      break;
+    }
+    const part = chunk.subarray(0, head.length - offset);
+    head.set(part, offset);
+    offset += part.length;
+  }
+
+  const replayed = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(chunk));
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+
+  return { head, stream: replayed };
+}
+
+/**
+ * Wrap a body of known length so R2 can accept it as a stream
+ * Also returns the leading bytes so the image type can be sniffed.
+ */
+async function toUploadStream(stream, size) {
+  if (size > MAX_FILE_SIZE) {
+    throw new UploadError(413, FILE_TOO_LARGE);
+  }
+
+  const { head, stream: replayed } = await peekStream(stream, SIGNATURE_LENGTH);
+
+  // FixedLengthStream tells R2 the length up front and fails if the body disagrees
+  return {
+    head,
+    body: replayed
+      .pipeThrough(limitStream(MAX_FILE_SIZE))
+      .pipeThrough(new FixedLengthStream(size)),
+  };
+}
+
+async function readMultipartUpload(request) {
+  let formData;
+  try {
+    formData = await request.formData();
+  } catch (e) {
+    throw new UploadError(400, 'Invalid multipart body');
+  }
+  const file = formData.get('file');
+
+  if (!file || typeof file === 'string') {
+    throw new UploadError(400, 'Missing file');
+  }
+
+  return {
+    fileName: formData.get('fileName') || file.name,
+    contentType: file.type,
+    recipientId: formData.get('recipientId') || undefined,
+    message: formData.get('message') || undefined,
+    species: formData.get('species') || undefined,
+    sessionId: formData.get('sessionId') || undefined,
+    contentFlag: normalizeContentFlag(formData.get('contentFlag')),
+    capture: pickCaptureFields(name => formData.get(name)),
+    size: file.size,
+    ...(await toUploadStream(file.stream(), file.size)),
+  };
+}
+
+async function readRawUpload(request) {
+  const url = new URL(request.url);
+  const contentLength = request.headers.get('Content-Length');
+
+  if (!contentLength) {
+    throw new UploadError(411, 'Content-Length required');
+  }
+
+  const fileName = url.searchParams.get('fileName');
+  if (!fileName || !request.body) {
+    throw new UploadError(400, 'Missing fileName or body');
+  }
+
+  const size = parseContentLength(contentLength);
+  if (size === 0) {
+    throw new UploadError(400, 'Invalid Content-Length');
+  }
+
+  return {
+    fileName,
+    contentType: request.headers.get('Content-Type'),
+    recipientId: url.searchParams.get('recipientId') || undefined,
+    message: url.searchParams.get('message') || undefined,
+    species: url.searchParams.get('species') || undefined,
+    sessionId: url.searchParams.get('sessionId') || undefined,
+    contentFlag: normalizeContentFlag(url.searchParams.get('contentFlag')),
+    capture: pickCaptureFields(name => url.searchParams.get(name)),
+    size,
+    ...(await toUploadStream(request.body, size)),
+  };
+}
+
+async function readJsonUpload(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    throw new UploadError(400, 'Invalid JSON');
+  }
+  if (!body || typeof body !== 'object') {
+    throw new UploadError(400, 'Invalid JSON');
+  }
+  const { fileName, fileData, contentType, recipientId, message, species, sessionId, contentFlag } = body;
+
+  if (!fileName || !fileData) {
+    throw new UploadError(400, 'Missing fileName or fileData');
+  }
+
+  let binaryString;
+  try {
+    binaryString = atob(fileData);
+  } catch (e) {
+    throw new UploadError(400, 'Invalid base64 data');
+  }
+
+  if (binaryString.length > MAX_FILE_SIZE) {
+    throw new UploadError(413, FILE_TOO_LARGE);
+  }
+
+  const bytes = Uint8Array.from(binaryString, char => char.charCodeAt(0));
+  return {
+    fileName,
+    contentType,
+    recipientId,
+    message,
+    species,
+    sessionId,
+    contentFlag: normalizeContentFlag(contentFlag),
+    capture: pickCaptureFields(name => body[name]),
+    size: bytes.length,
+    head: bytes.subarray(0, SIGNATURE_LENGTH),
+    body: bytes,
+  };
+}
+
+/**
+ * Read an upload request into
+ * { fileName, contentType, recipientId, message, species, sessionId, contentFlag, capture, size, head, body }
+ * `body` is a size-limited ReadableStream for streamed uploads or a Uint8Array for JSON;
+ * `head` holds the leading bytes for type sniffing. contentType is the client's claim only.
+ */
+export async function readUpload(request) {
+  const contentType = (request.headers.get('Content-Type') || '').toLowerCase();
+
+  if (request.method === 'PUT') {
+    return await readRawUpload(request);
+  }
+
+  // Multipart and JSON bodies are parsed whole, so their size has to be known
+  // (and acceptable) before the runtime starts buffering them
+  const contentLength = request.headers.get('Content-Length');
+  if (!contentLength) {
+    throw new UploadError(411, 'Content-Length required');
+  }
+  if (parseContentLength(contentLength) > MAX_REQUEST_SIZE) {
+    throw new UploadError(413, FILE_TOO_LARGE);
+  }
+
+  if (contentType.startsWith('multipart/form-data')) {
+    return await readMultipartUpload(request);
+  }
+  return await readJsonUpload(request);
+}
+
+/**
+ * Collect an upload's body into memory (it has already been size-checked)
+ */
+export async function readUploadBytes(upload) {
+  if (upload.body instanceof Uint8Array) {
+    return upload.body;
+  }
+  try {
+    return new Uint8Array(await new Response(upload.body).arrayBuffer());
+  } catch (error) {
+    if (error instanceof UploadError) {
+      throw error;
+    }
+    // FixedLengthStream errors when the body is shorter or longer than Content-Length
+    throw new UploadError(400, 'Body does not match Content-Length');
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Bucket usage counters
+ * Byte and object totals live in D1 (bucket_usage) and are adjusted with a
+ * single atomic UPDATE on every put and delete, so uploads never have to list
+ * the bucket. The scheduled job reconciles them against a full R2 listing to
+ * correct any drift (e.g. writes made outside the Worker).
+ */
+
+async function adjustUsage(env, bytes, objects) {
+  if (bytes === 0 && objects === 0) {
+    return;
+  }
+
+  await env.DB
+    .prepare(
+      `UPDATE bucket_usage
+       SET bytes = MAX(0, bytes + ?), objects = MAX(0, objects + ?), updated_at = datetime('now')
+       WHERE id = 1`
+    )
+    .bind(bytes, objects)
+    .run();
+}
+
+/**
+ * Write an object to R2 and count it
+ */
+export async function putObject(env, key, value, options) {
+  const object = await env.R2_BUCKET.put(key, value, options);
+  await adjustUsage(env, object.size, 1);
+  return object;
+}
+
+// HEAD requests in flight at once when sizes have to be looked up
+const HEAD_CONCURRENCY = 10;
+
+/**
+ * Total { bytes, objects } of whichever keys exist, a few HEADs at a time
+ */
+async function countObjects(env, keys) {
+  let bytes = 0;
+  let objects = 0;
+  for (let i = 0; i < keys.length; i += HEAD_CONCURRENCY) {
+    const heads = await Promise.all(keys.slice(i, i + HEAD_CONCURRENCY).map(key => env.R2_BUCKET.head(key)));
+    for (const object of heads.filter(Boolean)) {
+      bytes += object.size;
+      objects++;
+    }
+  }
+  return { bytes, objects };
+}
+
+/**
+ * Delete objects from R2 and subtract them from the counters
+ * Pass `counted` ({ bytes, objects }) when the caller already knows what the
+ * keys add up to, e.g. from the image index; otherwise each key is looked up.
+ */
+export async function deleteObjects(env, keys, counted = null) {
+  if (keys.length === 0) {
+    return;
+  }
+
+  const removed = counted || (await countObjects(env, keys));
+  await env.R2_BUCKET.delete(keys);
+  await adjustUsage(env, -removed.bytes, -removed.objects);
+}
+
+/**
+ * Recount the bucket from a full listing and store the result
+ * Returns { bytes, objects, drift: { bytes, objects } } where drift is how far
+ * the maintained counters were off.
+ */
+export async function reconcileUsage(env) {
+  let bytes = 0;
+  let objects = 0;
+  let cursor;
+
+  do {
+    const result = await env.R2_BUCKET.list({ cursor });
+    for (const object of result.objects) {
+      bytes += object.size || 0;
+      objects++;
+    }
+    cursor = result.truncated ? result.cursor : undefined;
+  } while (cursor);
+
+  const previous = await env.DB
+    .prepare('SELECT bytes, objects FROM bucket_usage WHERE id = 1')
+    .first();
+
+  await env.DB
+    .prepare(
+      `INSERT INTO bucket_usage (id, bytes, objects, reconciled_at, updated_at)
+       VALUES (1, ?, ?, datetime('now'), datetime('now'))
+       ON CONFLICT (id) DO UPDATE SET
+         bytes = excluded.bytes,
+         objects = excluded.objects,
+         reconciled_at = excluded.reconciled_at,
+         updated_at = excluded.updated_at`
+    )
+    .bind(bytes, objects)
+    .run();
+
+  const drift = {
+    bytes: bytes - (previous?.bytes || 0),
+    objects: objects - (previous?.objects || 0),
+  };
+  if (drift.bytes !== 0 || drift.objects !== 0) {
+    console.log(`Bucket usage reconciled: off by ${drift.bytes} bytes / ${drift.objects} objects`);
+  }
+  return { bytes, objects, drift };
+}
+
+/**
+ * Current usage: { bytes, objects, reconciledAt, updatedAt }
+ * The first call after setup reconciles so the counters start from the real totals.
+ */
+export async function getUsage(env) {
+  const row = await env.DB
+    .prepare('SELECT bytes, objects, reconciled_at, updated_at FROM bucket_usage WHERE id = 1')
+    .first();
+
+  if (!row || !row.reconciled_at) {
+    await reconcileUsage(env);
+    return await getUsage(env);
+  }
+
+  return {
+    bytes: row.bytes,
+    objects: row.objects,
+    reconciledAt: row.reconciled_at.replace(' ', 'T') + 'Z',
+    updatedAt: row.updated_at.replace(' ', 'T') + 'Z',
+  };
+}